@@ -0,0 +1,214 @@
+// @ts-check
+
+/**
+ * The descriptions of the macros built into the compiler.
+ * @type {Record<string, string>}
+ */
+const MACROS = {
+  __FILE__: "The name of the current source file.",
+  __FILE_NAME__: "The last component of the name of the current source file.",
+  __BASE_FILE__: "The name of the main source file being compiled.",
+  __LINE__: "The line number of the current source line.",
+  __COUNTER__:
+    "A counter incremented by one every time it is expanded in the translation unit.",
+  __INCLUDE_LEVEL__:
+    "The depth of nesting of the current file in `#include` directives.",
+  __DATE__: 'The date of compilation, e.g. `"Jan  1 2024"`.',
+  __TIME__: 'The time of compilation, e.g. `"12:34:56"`.',
+  __TIMESTAMP__:
+    "The date and time of the last modification of the current source file.",
+  __STDC__: "Whether the compiler conforms to the ISO C standard.",
+  __STDC_VERSION__: "The version of the C standard, e.g. `201710L` for C17.",
+  __STDC_HOSTED__:
+    "Whether the implementation is hosted rather than freestanding.",
+  __VERSION__: "The version of the compiler.",
+  __GNUC__:
+    "The major version of GCC, or of GCC the compiler is compatible with.",
+  __GNUC_MINOR__:
+    "The minor version of GCC, or of GCC the compiler is compatible with.",
+  __GNUC_PATCHLEVEL__:
+    "The patch level of GCC, or of GCC the compiler is compatible with.",
+  __clang__: "Defined when compiled by Clang.",
+  __clang_major__: "The major version of Clang.",
+  __clang_minor__: "The minor version of Clang.",
+  __clang_patchlevel__: "The patch level of Clang.",
+  __clang_version__: "The full version of Clang.",
+  __OPTIMIZE__: "Defined when optimizations are enabled.",
+  __OPTIMIZE_SIZE__: "Defined when optimizing for size.",
+  __NO_INLINE__: "Defined when no functions are inlined.",
+  __CHAR_BIT__: "The number of bits in a `char`.",
+  __BYTE_ORDER__: "The byte order of the target, one of `__ORDER_*_ENDIAN__`.",
+  __x86_64__: "Defined when targeting x86-64.",
+  __aarch64__: "Defined when targeting AArch64.",
+  __linux__: "Defined when targeting Linux.",
+  __has_attribute:
+    "Evaluates to non-zero if the GNU-style attribute is supported, e.g. `__has_attribute(noreturn)`.",
+  __has_c_attribute:
+    "Evaluates to non-zero if the C2x-style attribute is supported, e.g. `__has_c_attribute(nodiscard)`.",
+  __has_cpp_attribute:
+    "Evaluates to non-zero if the C++-style attribute is supported.",
+  __has_declspec_attribute:
+    "Evaluates to non-zero if the `__declspec` attribute is supported.",
+  __has_builtin:
+    "Evaluates to non-zero if the builtin function or type trait is supported, e.g. `__has_builtin(__builtin_expect)`.",
+  __has_feature:
+    "Evaluates to non-zero if the feature is supported by the compiler and the language standard.",
+  __has_extension:
+    "Evaluates to non-zero if the feature is supported as a standard feature or an extension.",
+  __has_include:
+    "Evaluates to non-zero if the header can be included, e.g. `__has_include(<stdatomic.h>)`.",
+  __has_include_next:
+    "Like `__has_include`, but searches from the directory after the current one.",
+  __has_warning: "Evaluates to non-zero if the warning option is supported.",
+  __is_identifier:
+    "Evaluates to non-zero if the word is an ordinary identifier rather than a keyword.",
+};
+
+/**
+ * The keywords of C, including those of GNU extensions, which are no names.
+ */
+const KEYWORDS = new Set([
+  "alignas",
+  "alignof",
+  "asm",
+  "auto",
+  "bool",
+  "break",
+  "case",
+  "char",
+  "const",
+  "constexpr",
+  "continue",
+  "default",
+  "do",
+  "double",
+  "else",
+  "enum",
+  "extern",
+  "false",
+  "float",
+  "for",
+  "goto",
+  "if",
+  "inline",
+  "int",
+  "long",
+  "nullptr",
+  "register",
+  "restrict",
+  "return",
+  "short",
+  "signed",
+  "sizeof",
+  "static",
+  "static_assert",
+  "struct",
+  "switch",
+  "thread_local",
+  "true",
+  "typedef",
+  "typeof",
+  "typeof_unqual",
+  "union",
+  "unsigned",
+  "void",
+  "volatile",
+  "while",
+  "_Alignas",
+  "_Alignof",
+  "_Atomic",
+  "_BitInt",
+  "_Bool",
+  "_Complex",
+  "_Decimal128",
+  "_Decimal32",
+  "_Decimal64",
+  "_Generic",
+  "_Imaginary",
+  "_Noreturn",
+  "_Static_assert",
+  "_Thread_local",
+  "__asm__",
+  "__attribute__",
+  "__extension__",
+  "__inline__",
+  "__int128",
+  "__restrict",
+  "__typeof__",
+]);
+
+/**
+ * The macros whose values differ from expansion to expansion.
+ */
+const VARYING = new Set([
+  "__FILE__",
+  "__FILE_NAME__",
+  "__LINE__",
+  "__COUNTER__",
+  "__INCLUDE_LEVEL__",
+  "__has_attribute",
+  "__has_c_attribute",
+  "__has_cpp_attribute",
+  "__has_declspec_attribute",
+  "__has_builtin",
+  "__has_feature",
+  "__has_extension",
+  "__has_include",
+  "__has_include_next",
+  "__has_warning",
+  "__is_identifier",
+]);
+
+/**
+ * The descriptions of the families of predefined macros.
+ * @type {[RegExp, string][]}
+ */
+const FAMILIES = [
+  [/^__SIZEOF_(\w+)__$/, "The size in bytes of `$1`."],
+  [/^__(\w+)_MAX__$/, "The maximum value of `$1`."],
+  [/^__(\w+)_WIDTH__$/, "The width in bits of `$1`."],
+  [/^__(\w+)_TYPE__$/, "The underlying type of `$1`."],
+];
+
+/**
+ * Describe the builtin or predefined macro.
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+export function describeMacro(name) {
+  if (Object.hasOwn(MACROS, name)) return MACROS[name];
+
+  for (const [pattern, description] of FAMILIES) {
+    const match = name.match(pattern);
+    if (match)
+      return description.replace(
+        "$1",
+        match[1].toLowerCase().replace(/_/g, " ")
+      );
+  }
+}
+
+/**
+ * Whether the macro expands differently at each place, so that no single
+ * value applies to the whole translation unit.
+ * @param {string} name
+ */
+export function isVarying(name) {
+  return VARYING.has(name);
+}
+
+/**
+ * Whether the function is built into the compiler, e.g. `__builtin_expect`.
+ * @param {string} name
+ */
+export function isBuiltinFunction(name) {
+  return /^__(?:builtin|sync|atomic|c11_atomic)_/.test(name);
+}
+
+/**
+ * Whether the name is a keyword of C, e.g. `int` or `sizeof`.
+ * @param {string} name
+ */
+export function isKeyword(name) {
+  return KEYWORDS.has(name);
+}
@@ -0,0 +1,178 @@
+// @ts-check
+
+/**
+ * @typedef {{
+ *   brief: string,
+ *   details: string[],
+ *   params: {name: string, text: string}[],
+ *   returns: string,
+ *   notes: {tag: string, text: string}[],
+ * }} Documentation
+ */
+
+/**
+ * The trailing comments of members, e.g. `int x; /**< the abscissa *\/`.
+ */
+const TRAILING =
+  /^[^\n/;,{}]*[;,]?[ \t]*(\/\*[*!]<[\s\S]*?\*\/|\/\/[/!]<[^\n]*)/;
+
+/**
+ * Find the comment attached to the declaration, i.e. the trailing one on the
+ * same line, or the block immediately preceding it without any blank line.
+ * @param {string} text
+ * @param {number} begin the offset of the beginning of the declaration
+ * @param {number} end the offset of the last token of the declaration
+ * @returns {string | undefined}
+ */
+export function extract(text, begin, end) {
+  const trailing = text.slice(end).match(TRAILING);
+  if (trailing) return trailing[1];
+
+  // Macros begin at their names rather than the directives
+  let start = text.lastIndexOf("\n", begin - 1) + 1;
+  if (!/^\s*(?:#\s*define\s+)?$/.test(text.slice(start, begin))) return;
+
+  /** @type {string[]} */
+  const lines = [];
+  while (start > 0) {
+    const lineStart = text.lastIndexOf("\n", start - 2) + 1;
+    const line = text.slice(lineStart, start - 1);
+
+    if (/^\s*\/\//.test(line)) {
+      lines.unshift(line);
+    } else if (!lines.length && /\*\/\s*$/.test(line)) {
+      const open = text.lastIndexOf("/*", lineStart + line.lastIndexOf("*/"));
+      const openLine = text.lastIndexOf("\n", open - 1) + 1;
+      if (open < 0 || !/^\s*$/.test(text.slice(openLine, open))) return;
+      return text.slice(open, lineStart + line.lastIndexOf("*/") + 2);
+    } else {
+      break;
+    }
+    start = lineStart;
+  }
+  return lines.length ? lines.join("\n") : undefined;
+}
+
+/**
+ * Strip the comment markers, e.g. `/**`, the leading `*` and `///`.
+ * @param {string} comment
+ * @returns {string[]}
+ */
+function strip(comment) {
+  if (comment.startsWith("/*"))
+    return comment
+      .replace(/^\/\*[*!]?<?/, "")
+      .replace(/\*+\/$/, "")
+      .split("\n")
+      .map((line) => line.replace(/^\s*\*(?!\/)\s?/, "").trimEnd());
+
+  return comment
+    .split("\n")
+    .map((line) => line.replace(/^\s*\/\/[/!]?<?\s?/, "").trimEnd());
+}
+
+/**
+ * Parse the Doxygen or kernel-doc comment, where the first paragraph is the
+ * brief description unless `\brief` or a kernel-doc title is given.
+ * @param {string} comment
+ * @returns {Documentation | undefined}
+ */
+export function parse(comment) {
+  const brief = { text: "" };
+  const returns = { text: "" };
+  /** @type {string[]} */
+  const details = [];
+  /** @type {{name: string, text: string}[]} */
+  const params = [];
+  /** @type {{tag: string, text: string}[]} */
+  const notes = [];
+
+  // The tag that the following lines continue, or the paragraph
+  /** @type {{text: string} | undefined} */
+  let section;
+  let paragraph = "";
+
+  const flush = () => {
+    if (paragraph) details.push(paragraph);
+    paragraph = "";
+  };
+
+  for (const [i, line] of strip(comment).entries()) {
+    const text = line.trim();
+    if (!text) {
+      flush();
+      section = undefined;
+      continue;
+    }
+
+    // kernel-doc titles, e.g. `foo() - Do something` or `struct point - A point`
+    const title =
+      i < 2 &&
+      !brief.text &&
+      !details.length &&
+      text.match(
+        /^(?:(?:struct|union|enum|typedef)\s+)?\w+(?:\(\))?:?\s+-\s+(.*)$/
+      );
+    // kernel-doc sections, e.g. `@len: The length` or `Return: 0 on success`
+    const kernel = text.match(/^@(\w+|\.\.\.):\s*(.*)$/);
+    const kernelReturn = text.match(/^Returns?:\s*(.*)$/);
+    // Doxygen commands, e.g. `@param[in] len The length` or `\return 0`
+    const command = text.match(/^[@\\](\w+)(?:\[[\w,\s]*\])?(?:\s+(.*))?$/);
+
+    if (title) {
+      brief.text = title[1];
+      section = brief;
+    } else if (kernel) {
+      flush();
+      const param = { name: kernel[1], text: kernel[2] };
+      params.push(param);
+      section = param;
+    } else if (kernelReturn) {
+      flush();
+      returns.text = kernelReturn[1];
+      section = returns;
+    } else if (command) {
+      flush();
+      const [, tag, rest = ""] = command;
+      switch (tag) {
+        case "brief":
+        case "short":
+          brief.text = rest;
+          section = brief;
+          break;
+        case "param":
+        case "tparam": {
+          const [, name = "", description = ""] =
+            rest.match(/^(\S+)\s*(.*)$/) || [];
+          const param = { name, text: description };
+          params.push(param);
+          section = param;
+          break;
+        }
+        case "return":
+        case "returns":
+        case "retval":
+          returns.text = returns.text ? `${returns.text} ${rest}` : rest;
+          section = returns;
+          break;
+        default: {
+          const note = { tag, text: rest };
+          notes.push(note);
+          section = note;
+          break;
+        }
+      }
+    } else if (section) {
+      section.text = section.text ? `${section.text} ${text}` : text;
+    } else {
+      paragraph = paragraph ? `${paragraph} ${text}` : text;
+    }
+  }
+  flush();
+
+  if (!brief.text && details.length)
+    brief.text = /** @type {string} */ (details.shift());
+
+  if (!brief.text && !params.length && !returns.text && !notes.length) return;
+  return { brief: brief.text, details, params, returns: returns.text, notes };
+}
@@ -0,0 +1,553 @@
+// @ts-check
+
+/**
+ * The tokens of C, roughly, where numbers include their suffixes, and
+ * comments are skipped like spaces.
+ */
+const TOKEN =
+  /(?:\s|\/\*[\s\S]*?\*\/|\/\/[^\n]*)*(\.?\d[\w.]*(?:[eEpP][+-][\w.]*)*|[LuU8]*'(?:[^'\\]|\\.)+'|[LuU8]*"(?:[^"\\]|\\.)*"|[A-Za-z_]\w*|<<=?|>>=?|->|\+\+|--|&&|\|\||[<>=!+\-*/%&|^]=|\.\.\.|##?|\S)/y;
+
+/**
+ * The precedences of binary operators, the higher the tighter.
+ * @type {Record<string, number>}
+ */
+const PRECEDENCES = {
+  "||": 1,
+  "&&": 2,
+  "|": 3,
+  "^": 4,
+  "&": 5,
+  "==": 6,
+  "!=": 6,
+  "<": 7,
+  ">": 7,
+  "<=": 7,
+  ">=": 7,
+  "<<": 8,
+  ">>": 8,
+  "+": 9,
+  "-": 9,
+  "*": 10,
+  "/": 10,
+  "%": 10,
+};
+
+/**
+ * The keywords making up the types of casts, e.g. `(unsigned long)`.
+ */
+const TYPE_KEYWORDS = new Set([
+  "char",
+  "short",
+  "int",
+  "long",
+  "signed",
+  "unsigned",
+  "const",
+  "volatile",
+  "_Bool",
+  "__int128",
+]);
+
+/**
+ * An integer type of x86-64 Linux, where the rank orders the types by the
+ * usual arithmetic conversions.
+ * @typedef {{name: string, bits: number, signed: boolean, rank: number}} IntegerType
+ */
+
+/**
+ * An integer value along with its type, in whose range the value is.
+ * @typedef {{value: bigint, type: IntegerType}} Integer
+ */
+
+/**
+ * @type {Record<string, IntegerType>}
+ */
+export const TYPES = {
+  _Bool: { name: "_Bool", bits: 1, signed: false, rank: 0 },
+  char: { name: "char", bits: 8, signed: true, rank: 1 },
+  "signed char": { name: "signed char", bits: 8, signed: true, rank: 1 },
+  "unsigned char": { name: "unsigned char", bits: 8, signed: false, rank: 1 },
+  short: { name: "short", bits: 16, signed: true, rank: 2 },
+  "unsigned short": {
+    name: "unsigned short",
+    bits: 16,
+    signed: false,
+    rank: 2,
+  },
+  int: { name: "int", bits: 32, signed: true, rank: 3 },
+  "unsigned int": { name: "unsigned int", bits: 32, signed: false, rank: 3 },
+  long: { name: "long", bits: 64, signed: true, rank: 4 },
+  "unsigned long": { name: "unsigned long", bits: 64, signed: false, rank: 4 },
+  "long long": { name: "long long", bits: 64, signed: true, rank: 5 },
+  "unsigned long long": {
+    name: "unsigned long long",
+    bits: 64,
+    signed: false,
+    rank: 5,
+  },
+  __int128: { name: "__int128", bits: 128, signed: true, rank: 6 },
+  "unsigned __int128": {
+    name: "unsigned __int128",
+    bits: 128,
+    signed: false,
+    rank: 6,
+  },
+};
+
+/**
+ * The types an integer literal may have by its suffix, where the first one
+ * able to represent the value is taken.
+ * @type {Record<string, string[]>}
+ */
+const LITERAL_TYPES = {
+  "": ["int", "long", "long long"],
+  l: ["long", "long long"],
+  ll: ["long long"],
+};
+
+/**
+ * Thrown when the tokens are not an integer constant expression.
+ */
+const NOT_CONSTANT = new Error("Not an integer constant expression");
+
+/**
+ * Convert the value to the type, wrapping it around the width of the type as
+ * GCC does for both unsigned and signed types.
+ * @param {bigint} value
+ * @param {IntegerType} type
+ * @returns {Integer}
+ */
+function convert(value, type) {
+  if (type.rank === 0) return { value: value ? 1n : 0n, type };
+  return {
+    value: type.signed
+      ? BigInt.asIntN(type.bits, value)
+      : BigInt.asUintN(type.bits, value),
+    type,
+  };
+}
+
+/**
+ * Get the result of an arithmetic operation in the type, which wraps around
+ * for unsigned types, and is not constant if it overflows a signed type.
+ * @param {bigint} value
+ * @param {IntegerType} type
+ * @returns {Integer}
+ */
+function arithmetic(value, type) {
+  const result = convert(value, type);
+  if (type.signed && result.value !== value) throw NOT_CONSTANT;
+  return result;
+}
+
+/**
+ * @param {unknown} condition
+ * @returns {Integer}
+ */
+function boolean(condition) {
+  return { value: condition ? 1n : 0n, type: TYPES.int };
+}
+
+/**
+ * Promote the integer of a type narrower than `int` to `int`.
+ * @param {Integer} integer
+ * @returns {Integer}
+ */
+function promote(integer) {
+  return integer.type.rank < TYPES.int.rank
+    ? { value: integer.value, type: TYPES.int }
+    : integer;
+}
+
+/**
+ * Get the type both promoted operands are converted to by the usual
+ * arithmetic conversions.
+ * @param {IntegerType} left
+ * @param {IntegerType} right
+ * @returns {IntegerType}
+ */
+function common(left, right) {
+  if (left.signed === right.signed)
+    return left.rank >= right.rank ? left : right;
+
+  const [signed, unsigned] = left.signed ? [left, right] : [right, left];
+  if (unsigned.rank >= signed.rank) return unsigned;
+  if (signed.bits > unsigned.bits) return signed;
+  return TYPES[`unsigned ${signed.name}`];
+}
+
+/**
+ * Get the integer type named by the keywords of a cast, e.g. `unsigned long`,
+ * which is undefined if they do not name one.
+ * @param {string[]} keywords
+ * @returns {IntegerType | undefined}
+ */
+export function parseType(keywords) {
+  /** @type {string | undefined} */
+  let signedness;
+  /** @type {string | undefined} */
+  let base;
+  let int = false;
+  let longs = 0;
+  for (const keyword of keywords) {
+    switch (keyword) {
+      case "const":
+      case "volatile":
+        break;
+      case "signed":
+      case "unsigned":
+        if (signedness) return;
+        signedness = keyword;
+        break;
+      case "int":
+        if (int) return;
+        int = true;
+        break;
+      case "long":
+        if (++longs > 2) return;
+        break;
+      default:
+        if (base || !TYPE_KEYWORDS.has(keyword)) return;
+        base = keyword;
+    }
+  }
+
+  if (longs) {
+    if (base) return;
+    base = longs === 2 ? "long long" : "long";
+  } else if (!base) {
+    if (!int && !signedness) return;
+    base = "int";
+  } else if (int && base !== "short") {
+    return;
+  }
+
+  if (base === "_Bool") return signedness ? undefined : TYPES._Bool;
+  if (base === "char" && signedness) return TYPES[`${signedness} char`];
+  return TYPES[signedness === "unsigned" ? `unsigned ${base}` : base];
+}
+
+/**
+ * Split the text into tokens along with their offsets.
+ * @param {string} text
+ * @returns {{text: string, offset: number}[]}
+ */
+export function tokenize(text) {
+  /** @type {{text: string, offset: number}[]} */
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  for (let match; (match = TOKEN.exec(text)); ) {
+    tokens.push({
+      text: match[1],
+      offset: TOKEN.lastIndex - match[1].length,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Get the value of the integer or character literal, typed by its suffix or
+ * prefix, which is undefined if no type of the literal can represent it.
+ * @param {string} token
+ * @returns {Integer | undefined}
+ */
+export function parseLiteral(token) {
+  const number = token.match(
+    /^(0[xX][\da-fA-F]+|0[bB][01]+|0[0-7]*|[1-9]\d*)([uU](?:ll|LL|[lL])?|(?:ll|LL|[lL])[uU]?)?$/
+  );
+  if (number) {
+    const [, digits, suffix = ""] = number;
+    const value = BigInt(/^0\d/.test(digits) ? `0o${digits.slice(1)}` : digits);
+
+    // Only decimal literals without suffixes never become unsigned
+    const size = suffix.toLowerCase().replace("u", "");
+    const unsigned = size !== suffix.toLowerCase();
+    const decimal = /^[1-9]/.test(digits);
+    for (const name of LITERAL_TYPES[size]) {
+      /** @type {IntegerType[]} */
+      const candidates = unsigned
+        ? [TYPES[`unsigned ${name}`]]
+        : decimal
+          ? [TYPES[name]]
+          : [TYPES[name], TYPES[`unsigned ${name}`]];
+      for (const type of candidates)
+        if (convert(value, type).value === value) return { value, type };
+    }
+    return;
+  }
+
+  const character = token.match(/^(L|u8|u|U)?'(.+)'$/);
+  if (character) {
+    const [, prefix = "", content] = character;
+
+    /** @type {bigint | undefined} */
+    let code;
+    if (!content.startsWith("\\")) {
+      // Multicharacter constants are implementation-defined
+      if ([...content].length > 1) return;
+      code = BigInt(content.codePointAt(0) || 0);
+    } else {
+      /** @type {Record<string, number>} */
+      const escapes = {
+        n: 10,
+        t: 9,
+        r: 13,
+        0: 0,
+        a: 7,
+        b: 8,
+        f: 12,
+        v: 11,
+        "\\": 92,
+        "'": 39,
+        '"': 34,
+        "?": 63,
+      };
+      const escape = content.slice(1);
+      if (escape in escapes) code = BigInt(escapes[escape]);
+      else if (/^x[\da-fA-F]+$/.test(escape)) code = BigInt(`0${escape}`);
+      else if (/^[0-7]{1,3}$/.test(escape)) code = BigInt(`0o${escape}`);
+      else return;
+    }
+
+    switch (prefix) {
+      case "L":
+        // wchar_t is int
+        return code < 1n << 32n ? convert(code, TYPES.int) : undefined;
+      case "u":
+        // char16_t is unsigned short
+        return code < 1n << 16n
+          ? { value: code, type: TYPES["unsigned short"] }
+          : undefined;
+      case "U":
+        // char32_t is unsigned int
+        return code < 1n << 32n
+          ? { value: code, type: TYPES["unsigned int"] }
+          : undefined;
+      case "u8":
+        return code < 128n
+          ? { value: code, type: TYPES["unsigned char"] }
+          : undefined;
+      default:
+        // The chars of plain character constants are signed, and become int
+        if (code >= 256n || (!content.startsWith("\\") && code >= 128n)) return;
+        return { value: convert(code, TYPES.char).value, type: TYPES.int };
+    }
+  }
+}
+
+/**
+ * Evaluate the integer constant expression, which is undefined if the tokens
+ * are not such an expression, refer to unknown identifiers, or overflow.
+ * @param {string[]} tokens
+ * @param {(name: string, index: number) => Integer | undefined} [resolve] get the value of the identifier at the index
+ * @returns {Integer | undefined}
+ */
+export function evaluate(tokens, resolve = () => undefined) {
+  let i = 0;
+
+  const fail = () => {
+    throw NOT_CONSTANT;
+  };
+
+  /** @returns {Integer} */
+  const primary = () => {
+    const token = tokens[i++];
+    if (token === undefined) return fail();
+
+    if (token === "(") {
+      // Casts to integer types
+      let j = i;
+      while (TYPE_KEYWORDS.has(tokens[j])) ++j;
+      if (j > i && tokens[j] === ")") {
+        const type = parseType(tokens.slice(i, j));
+        if (!type) return fail();
+
+        i = j + 1;
+        return convert(unary().value, type);
+      }
+
+      const value = conditional();
+      if (tokens[i++] !== ")") return fail();
+      return value;
+    }
+
+    const literal = parseLiteral(token);
+    if (literal !== undefined) return literal;
+
+    if (/^[A-Za-z_]\w*$/.test(token)) {
+      const value = resolve(token, i - 1);
+      if (value !== undefined) return value;
+    }
+    return fail();
+  };
+
+  /** @returns {Integer} */
+  const unary = () => {
+    switch (tokens[i]) {
+      case "+":
+        ++i;
+        return promote(unary());
+      case "-": {
+        ++i;
+        const { value, type } = promote(unary());
+        return arithmetic(-value, type);
+      }
+      case "~": {
+        ++i;
+        const { value, type } = promote(unary());
+        return convert(~value, type);
+      }
+      case "!":
+        ++i;
+        return boolean(!unary().value);
+      default:
+        return primary();
+    }
+  };
+
+  /**
+   * @param {number} min the lowest precedence to take
+   * @returns {Integer}
+   */
+  const binary = (min) => {
+    let left = unary();
+    for (;;) {
+      const operator = tokens[i];
+      const precedence = PRECEDENCES[operator];
+      if (!precedence || precedence < min) return left;
+
+      ++i;
+      const right = binary(precedence + 1);
+      left = apply(operator, left, right);
+    }
+  };
+
+  /** @returns {Integer} */
+  const conditional = () => {
+    const condition = binary(1);
+    if (tokens[i] !== "?") return condition;
+
+    ++i;
+    const then = promote(conditional());
+    if (tokens[i++] !== ":") return fail();
+    const otherwise = promote(conditional());
+
+    const type = common(then.type, otherwise.type);
+    return convert((condition.value ? then : otherwise).value, type);
+  };
+
+  try {
+    const value = conditional();
+    return i === tokens.length ? value : undefined;
+  } catch (error) {
+    if (error === NOT_CONSTANT) return;
+    throw error;
+  }
+}
+
+/**
+ * Apply the binary operator to the operands converted by the usual arithmetic
+ * conversions, or promoted for shifts.
+ * @param {string} operator
+ * @param {Integer} left
+ * @param {Integer} right
+ * @returns {Integer}
+ */
+function apply(operator, left, right) {
+  switch (operator) {
+    case "||":
+      return boolean(left.value || right.value);
+    case "&&":
+      return boolean(left.value && right.value);
+    case "<<":
+    case ">>": {
+      const { value, type } = promote(left);
+      const count = right.value;
+      if (count < 0n || count >= BigInt(type.bits)) throw NOT_CONSTANT;
+      if (operator === ">>") return { value: value >> count, type };
+
+      // Shifting into or past the sign bit wraps around as GCC and Clang do
+      if (value < 0n) throw NOT_CONSTANT;
+      return convert(value << count, type);
+    }
+  }
+
+  const type = common(promote(left).type, promote(right).type);
+  const a = convert(left.value, type).value;
+  const b = convert(right.value, type).value;
+  switch (operator) {
+    case "|":
+      return { value: a | b, type };
+    case "^":
+      return { value: a ^ b, type };
+    case "&":
+      return { value: a & b, type };
+    case "==":
+      return boolean(a === b);
+    case "!=":
+      return boolean(a !== b);
+    case "<":
+      return boolean(a < b);
+    case ">":
+      return boolean(a > b);
+    case "<=":
+      return boolean(a <= b);
+    case ">=":
+      return boolean(a >= b);
+    case "+":
+      return arithmetic(a + b, type);
+    case "-":
+      return arithmetic(a - b, type);
+    case "*":
+      return arithmetic(a * b, type);
+    case "/":
+      if (!b) throw NOT_CONSTANT;
+      return arithmetic(a / b, type);
+    case "%":
+      if (!b) throw NOT_CONSTANT;
+      // The remainder is undefined if the quotient overflows
+      arithmetic(a / b, type);
+      return { value: a % b, type };
+  }
+  throw NOT_CONSTANT;
+}
+
+/**
+ * Get the value of an enumerator, which is that of its initializer in `int`
+ * if it fits, or else in the type of the initializer as GCC does.
+ * @param {Integer} initializer
+ * @returns {Integer}
+ */
+export function enumerator(initializer) {
+  const value = convert(initializer.value, TYPES.int);
+  return value.value === initializer.value ? value : initializer;
+}
+
+/**
+ * Get the value of the enumerator following the one of the value, which has
+ * no initializer, and is undefined if the type of the value overflows.
+ * @param {Integer} previous
+ * @returns {Integer | undefined}
+ */
+export function next(previous) {
+  const value = previous.value + 1n;
+  for (const type of [TYPES.int, previous.type])
+    if (convert(value, type).value === value) return { value, type };
+}
+
+/**
+ * Format the value in decimal, hexadecimal and binary, where negative values
+ * are shown in two's complement of the width of their type.
+ * @param {Integer} integer
+ * @returns {[decimal: string, hex: string, binary: string]}
+ */
+export function format({ value, type }) {
+  const unsigned = BigInt.asUintN(type.bits, value);
+  const binary = unsigned.toString(2);
+  return [
+    value.toString(),
+    `0x${unsigned.toString(16)}`,
+    // Group the bits by nibbles for readability
+    `0b${binary.padStart(Math.ceil(binary.length / 4) * 4, "0").replace(/(?<=.)(?=(?:.{4})+$)/g, "_")}`,
+  ];
+}
@@ -0,0 +1,169 @@
+// @ts-check
+
+/**
+ * The tags of anonymous records printed by Clang, which contain parentheses
+ * that are not part of any declarator.
+ */
+const ANONYMOUS = /\((?:unnamed|anonymous)[^()]*\)/g;
+
+/**
+ * Replace the anonymous tags with the placeholders of the same length, so
+ * that the indices of the masked type refer to the type.
+ * @param {string} type
+ */
+function mask(type) {
+  return type.replace(ANONYMOUS, (tag) => "\0".repeat(tag.length));
+}
+
+/**
+ * Join the specifiers and the declarator, where no space is needed after a
+ * pointer.
+ * @param {string} head
+ * @param {string} tail
+ */
+function join(head, tail) {
+  head = head.trimEnd();
+  return head.endsWith("*") ? head + tail : `${head} ${tail}`;
+}
+
+/**
+ * The pointers with their qualifiers at the beginning of a declarator.
+ */
+const POINTER = /^(?:\s*\*|\s*\b(?:const|volatile|restrict|__restrict)\b)*/;
+
+/**
+ * Whether the parenthesis at the index groups a declarator of a pointer,
+ * rather than beginning a parameter list.
+ * @param {string} masked
+ * @param {number} i
+ */
+function isGrouping(masked, i) {
+  return /^\(\s*\*/.test(masked.slice(i));
+}
+
+/**
+ * Put the name into the abstract declarator of the type printed by Clang,
+ * e.g. `int (*)(int)` with `f` gives `int (*f)(int)`.
+ * @param {string} type
+ * @param {string | null | undefined} name
+ * @returns {string}
+ */
+export function declarator(type, name) {
+  if (!name) return type;
+
+  const masked = mask(type);
+  const open = masked.search(/[([]/);
+  if (open < 0) return join(type, name);
+
+  // Functions or arrays, e.g. `int (int, char *)` or `char[4096]`
+  if (!isGrouping(masked, open))
+    return join(type.slice(0, open), name + type.slice(open));
+
+  // Pointers to functions or arrays, e.g. `int (*)(int)` or `char (*const)[4]`,
+  // where the name is in the innermost grouping, e.g. `void (*(*)(int))(int)`
+  let i = open;
+  let pointer = "";
+  while (isGrouping(masked, i)) {
+    [pointer] = /** @type {RegExpMatchArray} */ (
+      masked.slice(i + 1).match(POINTER)
+    );
+    i += 1 + pointer.length;
+  }
+  return `${type.slice(0, i)}${/\w$/.test(pointer) ? " " : ""}${name}${type.slice(i)}`;
+}
+
+/**
+ * Split the parameter list at the commas outside parentheses, e.g.
+ * `int, int (*)(int, int)` gives `int` and `int (*)(int, int)`.
+ * @param {string} list
+ * @returns {string[]}
+ */
+function splitParameters(list) {
+  const masked = mask(list);
+
+  /** @type {string[]} */
+  const result = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < masked.length; ++i) {
+    const c = masked[i];
+    if (c === "(" || c === "[") ++depth;
+    else if (c === ")" || c === "]") --depth;
+    else if (c === "," && !depth) {
+      result.push(list.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  const last = list.slice(start).trim();
+  if (last && last !== "void") result.push(last);
+  return result;
+}
+
+/**
+ * Declare the function like `functionDeclarator`, along with the offsets of
+ * the parameters in the declaration.
+ * @param {string} type
+ * @param {string} name
+ * @param {{name: string | null | undefined, qualified_type: string}[]} params
+ * @returns {{label: string, parameters: [number, number][]}}
+ */
+export function functionSignature(type, name, params) {
+  const match = mask(type).match(/^([^()]*)\((.*)\)$/);
+
+  // Fall back to the abstract declarator, e.g. a function returning a pointer
+  // to function
+  if (!match || /[()]/.test(match[2].replace(/\([^()]*\)/g, "")))
+    return { label: declarator(type, name), parameters: [] };
+
+  const returnType = type.slice(0, match[1].length);
+  const list = type.slice(match[1].length + 1, -1);
+
+  const declarators = params.length
+    ? params.map((param) => declarator(param.qualified_type, param.name))
+    : splitParameters(list).filter((param) => param !== "...");
+  if (/(?:^|,\s*)\.\.\.$/.test(list)) declarators.push("...");
+
+  const head = join(returnType, `${name}(`);
+  if (!params.length && !declarators.length)
+    return { label: `${head}${list})`, parameters: [] };
+
+  /** @type {[number, number][]} */
+  const parameters = [];
+  let offset = head.length;
+  for (const declarator of declarators) {
+    parameters.push([offset, offset + declarator.length]);
+    offset += declarator.length + 2;
+  }
+  return { label: `${head}${declarators.join(", ")})`, parameters };
+}
+
+/**
+ * Declare the function of the type with the named parameters, e.g.
+ * `int (int, char *)` with `foo`, `len` and `buf` gives
+ * `int foo(int len, char *buf)`.
+ * @param {string} type
+ * @param {string} name
+ * @param {{name: string | null | undefined, qualified_type: string}[]} params
+ * @returns {string}
+ */
+export function functionDeclarator(type, name, params) {
+  return functionSignature(type, name, params).label;
+}
+
+/**
+ * Get the type of the function the pointer points to, e.g. `int (*)(int)`
+ * gives `int (int)`, which is undefined if it is not a pointer to function.
+ * @param {string} type
+ * @returns {string | undefined}
+ */
+export function pointee(type) {
+  const masked = mask(type);
+  const match = masked.match(/^([^()]*)\(\s*\*\s*(?:const\s*)?\)\s*\(/);
+  if (!match) return;
+
+  return (
+    type.slice(0, match[1].length).trimEnd() +
+    " " +
+    type.slice(match[0].length - 1)
+  );
+}
@@ -0,0 +1,171 @@
+// @ts-check
+
+import * as fs from "fs";
+import * as path from "path";
+
+/**
+ * A diagnostic reported by the compiler, where lines and columns are 1-based
+ * and the end column is exclusive, as in SARIF.
+ * @typedef {{
+ *   filename: string,
+ *   line: number,
+ *   column: number,
+ *   endLine?: number,
+ *   endColumn?: number,
+ *   severity: Severity,
+ *   message: string,
+ *   code?: string,
+ * }} CompilerDiagnostic
+ */
+
+/**
+ * @typedef {"error" | "warning" | "note" | "remark"} Severity
+ */
+
+/**
+ * The severities of SARIF levels, where `none` is for remarks.
+ * @type {Record<string, Severity>}
+ */
+const LEVELS = {
+  error: "error",
+  warning: "warning",
+  note: "note",
+  none: "remark",
+};
+
+/**
+ * Get the files the diagnostics of the translation unit might be saved in,
+ * e.g. `foo.sarif`, `foo.o.sarif` or `foo.diagnostics.json` for `foo.o`.
+ * @param {string} tu
+ * @returns {string[]}
+ */
+export function getSidecars(tu) {
+  const base = tu.slice(0, tu.length - path.extname(tu).length);
+  return [`${base}.sarif`, `${tu}.sarif`, `${base}.diagnostics.json`];
+}
+
+/**
+ * Whether the file might hold the diagnostics of a translation unit.
+ * @param {string} filename
+ */
+export function isSidecar(filename) {
+  return /\.sarif$|\.diagnostics\.json$/.test(filename);
+}
+
+/**
+ * @param {string} uri an absolute URI or a path relative to the directory
+ * @param {string} dir
+ */
+function toFilename(uri, dir) {
+  if (uri.startsWith("file:")) return decodeURIComponent(new URL(uri).pathname);
+  return path.resolve(dir, decodeURIComponent(uri));
+}
+
+/**
+ * Parse the SARIF log, e.g. of `clang -fdiagnostics-format=sarif`, in which
+ * the results without locations are skipped.
+ * @param {string} text
+ * @param {string} dir the directory relative locations are resolved against
+ * @returns {CompilerDiagnostic[]}
+ */
+export function parseSarif(text, dir) {
+  // Compilers may print other messages around the log, e.g. to stderr
+  const log = JSON.parse(
+    text.slice(text.indexOf("{"), text.lastIndexOf("}") + 1)
+  );
+
+  /** @type {CompilerDiagnostic[]} */
+  const diagnostics = [];
+  for (const run of log.runs || []) {
+    const rules = run.tool?.driver?.rules || [];
+    const artifacts = run.artifacts || [];
+
+    for (const result of run.results || []) {
+      const location = result.locations?.[0]?.physicalLocation;
+      const artifact = location?.artifactLocation;
+      const uri = artifact?.uri ?? artifacts[artifact?.index]?.location?.uri;
+      const region = location?.region;
+      if (!uri || !region?.startLine) continue;
+
+      const rule =
+        typeof result.ruleIndex === "number"
+          ? rules[result.ruleIndex]
+          : rules.find((/** @type {any} */ { id }) => id === result.ruleId);
+      diagnostics.push({
+        filename: toFilename(uri, dir),
+        line: region.startLine,
+        column: region.startColumn || 1,
+        endLine: region.endLine,
+        endColumn: region.endColumn,
+        // Results are warnings unless told otherwise
+        severity: LEVELS[result.level] || "warning",
+        message: result.message?.text || rule?.fullDescription?.text || "",
+        code: rule?.name || result.ruleId,
+      });
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Parse the JSON array of diagnostics, whose items are in the same shape as
+ * `CompilerDiagnostic`, but might have relative filenames.
+ * @param {string} text
+ * @param {string} dir the directory relative filenames are resolved against
+ * @returns {CompilerDiagnostic[]}
+ */
+export function parseJson(text, dir) {
+  /** @type {CompilerDiagnostic[]} */
+  const diagnostics = [];
+  for (const item of JSON.parse(text)) {
+    if (!item.filename || !item.line) continue;
+
+    diagnostics.push({
+      ...item,
+      filename: path.resolve(dir, item.filename),
+      column: item.column || 1,
+      severity: Object.values(LEVELS).includes(item.severity)
+        ? item.severity
+        : "warning",
+      message: String(item.message || ""),
+    });
+  }
+  return diagnostics;
+}
+
+/**
+ * The diagnostics produced alongside translation units, which are reloaded
+ * only if their files have changed.
+ */
+export default class CompilerDiagnostics {
+  /** @type {Map<string, {sidecar: string, mtime: number, diagnostics: CompilerDiagnostic[]}>} */
+  #cache = new Map();
+
+  /**
+   * Load the diagnostics of the translation unit, which are none if no file
+   * of them exists.
+   * @param {string} tu
+   * @returns {Promise<CompilerDiagnostic[]>}
+   */
+  async load(tu) {
+    for (const sidecar of getSidecars(tu)) {
+      const stats = await fs.promises.stat(sidecar).catch(() => undefined);
+      if (!stats) continue;
+
+      const cached = this.#cache.get(tu);
+      if (cached?.sidecar === sidecar && cached.mtime === stats.mtimeMs)
+        return cached.diagnostics;
+
+      const text = await fs.promises.readFile(sidecar, "utf8");
+      const dir = path.dirname(sidecar);
+      const diagnostics = sidecar.endsWith(".sarif")
+        ? parseSarif(text, dir)
+        : parseJson(text, dir);
+      this.#cache.set(tu, { sidecar, mtime: stats.mtimeMs, diagnostics });
+      return diagnostics;
+    }
+
+    this.#cache.delete(tu);
+    return [];
+  }
+}
@@ -0,0 +1,291 @@
+// @ts-check
+
+/**
+ * @typedef {{
+ *   oldStart: number,
+ *   oldEnd: number,
+ *   newStart: number,
+ *   newEnd: number,
+ * }} Hunk
+ */
+
+/**
+ * @typedef {import("vscode-languageserver-textdocument").Position} Position
+ */
+
+/**
+ * @typedef {import("vscode-languageserver-textdocument").Range} Range
+ */
+
+/**
+ * Give up finding the shortest edit script if there are too many edits, in
+ * which case the differing region is treated as a whole.
+ */
+const MAX_EDITS = 1024;
+
+/**
+ * Find the longest common subsequence of the two sequences by Myers' O(ND)
+ * algorithm, the result is a list of index pairs of the equal elements.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {[number, number][] | undefined} undefined if there are too many edits
+ */
+function lcs(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDITS);
+
+  /** @type {Int32Array[]} the furthest x of each diagonal k in [-d, d] */
+  const trace = [];
+  let v = new Int32Array(3);
+
+  for (let d = 0; d <= max; ++d) {
+    const next = new Int32Array(2 * d + 3);
+    const get = (/** @type {number} */ k) =>
+      k < -d + 1 || k > d - 1 ? -1 : v[k + d - 1 + 1];
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (d === 0) x = 0;
+      else if (k === -d || (k !== d && get(k - 1) < get(k + 1))) x = get(k + 1);
+      else x = get(k - 1) + 1;
+
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        ++x;
+        ++y;
+      }
+
+      next[k + d + 1] = x;
+      if (x >= n && y >= m) {
+        trace.push(next);
+        return backtrack(trace, n, m);
+      }
+    }
+
+    trace.push(next);
+    v = next;
+  }
+}
+
+/**
+ *
+ * @param {Int32Array[]} trace
+ * @param {number} n
+ * @param {number} m
+ * @returns {[number, number][]}
+ */
+function backtrack(trace, n, m) {
+  /** @type {[number, number][]} */
+  const pairs = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; --d) {
+    const k = x - y;
+    let prevX = 0;
+    let prevY = 0;
+
+    if (d > 0) {
+      const v = trace[d - 1];
+      const get = (/** @type {number} */ k) =>
+        k < -(d - 1) || k > d - 1 ? -1 : v[k + d - 1 + 1];
+      const prevK =
+        k === -d || (k !== d && get(k - 1) < get(k + 1)) ? k + 1 : k - 1;
+      prevX = get(prevK);
+      prevY = prevX - prevK;
+    }
+
+    while (x > prevX && y > prevY) {
+      pairs.push([--x, --y]);
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return pairs.reverse();
+}
+
+/**
+ * Compute the differing hunks of the two lists of lines.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Hunk[]}
+ */
+export function diff(a, b) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) ++head;
+
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  )
+    ++tail;
+
+  const oldEnd = a.length - tail;
+  const newEnd = b.length - tail;
+  if (head === oldEnd && head === newEnd) return [];
+
+  const pairs = lcs(a.slice(head, oldEnd), b.slice(head, newEnd));
+  if (!pairs) return [{ oldStart: head, oldEnd, newStart: head, newEnd }];
+
+  /** @type {Hunk[]} */
+  const hunks = [];
+  let x = 0;
+  let y = 0;
+  for (const [i, j] of [...pairs, [oldEnd - head, newEnd - head]]) {
+    if (i > x || j > y) {
+      hunks.push({
+        oldStart: head + x,
+        oldEnd: head + i,
+        newStart: head + y,
+        newEnd: head + j,
+      });
+    }
+    x = i + 1;
+    y = j + 1;
+  }
+  return hunks;
+}
+
+/**
+ *
+ * @param {string} text
+ */
+function splitLines(text) {
+  return text.split(/\r?\n/);
+}
+
+/**
+ * A bidirectional mapping of positions between two versions of a text, where
+ * the positions within the edited regions are not mappable. Lines modified in
+ * place are mapped by characters around the modification.
+ */
+export class LineMap {
+  /** @type {Hunk[]} */
+  #hunks;
+
+  /** @type {string[]} */
+  #oldLines;
+
+  /** @type {string[]} */
+  #newLines;
+
+  /**
+   *
+   * @param {string} oldText
+   * @param {string} newText
+   */
+  constructor(oldText, newText) {
+    this.#oldLines = splitLines(oldText);
+    this.#newLines = splitLines(newText);
+    this.#hunks = diff(this.#oldLines, this.#newLines);
+  }
+
+  get hunks() {
+    return this.#hunks;
+  }
+
+  /**
+   * Translate the position of the new text into the old one.
+   * @param {Position} position
+   * @returns {Position | null}
+   */
+  toOld(position) {
+    return this.#translate(position, true);
+  }
+
+  /**
+   * Translate the position of the old text into the new one.
+   * @param {Position} position
+   * @returns {Position | null}
+   */
+  toNew(position) {
+    return this.#translate(position, false);
+  }
+
+  /**
+   * Translate the range of the old text into the new one.
+   * @param {Range} range
+   * @returns {Range | null}
+   */
+  rangeToNew({ start, end }) {
+    const newStart = this.toNew(start);
+    const newEnd = newStart && this.toNew(end);
+    return newStart && newEnd ? { start: newStart, end: newEnd } : null;
+  }
+
+  /**
+   * Translate the range of the new text into the old one.
+   * @param {Range} range
+   * @returns {Range | null}
+   */
+  rangeToOld({ start, end }) {
+    const oldStart = this.toOld(start);
+    const oldEnd = oldStart && this.toOld(end);
+    return oldStart && oldEnd ? { start: oldStart, end: oldEnd } : null;
+  }
+
+  /**
+   *
+   * @param {Position} position
+   * @param {boolean} toOld
+   * @returns {Position | null}
+   */
+  #translate({ line, character }, toOld) {
+    let delta = 0;
+    for (const hunk of this.#hunks) {
+      const [fromStart, fromEnd, toStart, toEnd] = toOld
+        ? [hunk.newStart, hunk.newEnd, hunk.oldStart, hunk.oldEnd]
+        : [hunk.oldStart, hunk.oldEnd, hunk.newStart, hunk.newEnd];
+
+      if (line < fromStart) break;
+      if (line >= fromEnd) {
+        delta = toEnd - fromEnd;
+        continue;
+      }
+
+      // The line is modified in place
+      if (fromEnd - fromStart === 1 && toEnd - toStart === 1) {
+        const [from, to] = toOld
+          ? [this.#newLines[fromStart], this.#oldLines[toStart]]
+          : [this.#oldLines[fromStart], this.#newLines[toStart]];
+        const ch = translateCharacter(from, to, character);
+        return ch == null ? null : { line: toStart, character: ch };
+      }
+
+      return null;
+    }
+
+    return { line: line + delta, character };
+  }
+}
+
+/**
+ * Translate the character of a line into its modified one if it is not
+ * within the modification.
+ * @param {string} from
+ * @param {string} to
+ * @param {number} character
+ * @returns {number | null}
+ */
+function translateCharacter(from, to, character) {
+  let prefix = 0;
+  const n = Math.min(from.length, to.length);
+  while (prefix < n && from[prefix] === to[prefix]) ++prefix;
+
+  let suffix = 0;
+  while (
+    suffix < n - prefix &&
+    from[from.length - 1 - suffix] === to[to.length - 1 - suffix]
+  )
+    ++suffix;
+
+  if (character <= prefix) return character;
+  if (character >= from.length - suffix)
+    return character - from.length + to.length;
+  return null;
+}
@@ -0,0 +1,221 @@
+// @ts-check
+
+import { readFile } from "node:fs/promises";
+import { TextDocument } from "vscode-languageserver-textdocument";
+import { LineMap } from "./diff.js";
+
+/**
+ * @typedef {{
+ *   live: TextDocument,
+ *   indexed: Promise<TextDocument>,
+ *   map?: Promise<LineMap>,
+ * }} Entry
+ */
+
+/**
+ * The number of snapshots of unopened files to keep.
+ */
+const CAPACITY = 64;
+
+/**
+ * Read the file content the translation units were indexed with.
+ * @param {string} uri
+ * @returns {Promise<TextDocument>}
+ */
+async function readSnapshot(uri) {
+  const content = await readFile(new URL(uri).pathname, { encoding: "utf8" });
+  return TextDocument.create(uri, "", 0, content);
+}
+
+/**
+ * The text documents manager, in which each opened document has two versions:
+ * the live one that is being edited, and the indexed one, i.e. the file
+ * content on disk when it was opened, which is what positions in translation
+ * units refer to.
+ */
+export default class Documents {
+  /** @type {Map<string, Entry>} */
+  #opened = new Map();
+
+  /**
+   * The least recently used snapshots of unopened files.
+   * @type {Map<string, Promise<TextDocument>>}
+   */
+  #snapshots = new Map();
+
+  /**
+   * @param {import("vscode-languageserver/node.js").TextDocumentItem} param0
+   */
+  open({ uri, languageId, version, text }) {
+    const live = TextDocument.create(uri, languageId, version, text);
+    const indexed = readSnapshot(uri).catch(() =>
+      TextDocument.create(uri, languageId, version, text)
+    );
+    this.#opened.set(uri, { live, indexed });
+    this.#snapshots.delete(uri);
+  }
+
+  /**
+   * @param {import("vscode-languageserver/node.js").VersionedTextDocumentIdentifier} textDocument
+   * @param {import("vscode-languageserver/node.js").TextDocumentContentChangeEvent[]} changes
+   */
+  change({ uri, version }, changes) {
+    const entry = this.#opened.get(uri);
+    if (!entry) return;
+
+    entry.live = TextDocument.update(entry.live, changes, version);
+    entry.map = undefined;
+  }
+
+  /**
+   * @param {string} uri
+   */
+  close(uri) {
+    this.#opened.delete(uri);
+  }
+
+  /**
+   * Get the URIs of the opened documents.
+   */
+  uris() {
+    return [...this.#opened.keys()];
+  }
+
+  /**
+   * Read the indexed versions of the documents again, e.g. since translation
+   * units are produced again from the files on disk.
+   */
+  reindex() {
+    for (const [uri, entry] of this.#opened) {
+      const { live } = entry;
+      entry.indexed = readSnapshot(uri).catch(() =>
+        TextDocument.create(uri, live.languageId, live.version, live.getText())
+      );
+      entry.map = undefined;
+    }
+    this.#snapshots.clear();
+  }
+
+  /**
+   * Get the live version of the document if it is opened.
+   * @param {string} uri
+   * @returns {TextDocument | undefined}
+   */
+  live(uri) {
+    return this.#opened.get(uri)?.live;
+  }
+
+  /**
+   * Get the indexed version of the document.
+   * @param {string} uri
+   * @returns {Promise<TextDocument>}
+   */
+  indexed(uri) {
+    const entry = this.#opened.get(uri);
+    if (entry) return entry.indexed;
+
+    let snapshot = this.#snapshots.get(uri);
+    if (snapshot) {
+      // Refresh the recency
+      this.#snapshots.delete(uri);
+    } else {
+      snapshot = readSnapshot(uri);
+      snapshot.catch(() => this.#snapshots.delete(uri));
+    }
+
+    this.#snapshots.set(uri, snapshot);
+    for (const key of this.#snapshots.keys()) {
+      if (this.#snapshots.size <= CAPACITY) break;
+      this.#snapshots.delete(key);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Get the mapping between the indexed and the live versions of the document,
+   * which is undefined if the document is not opened.
+   * @param {string} uri
+   * @returns {Promise<LineMap | undefined>}
+   */
+  async map(uri) {
+    const entry = this.#opened.get(uri);
+    if (!entry) return;
+
+    if (!entry.map) {
+      const { live } = entry;
+      entry.map = entry.indexed.then(
+        (indexed) => new LineMap(indexed.getText(), live.getText())
+      );
+    }
+    return entry.map;
+  }
+
+  /**
+   * Translate the position of the live document into the indexed one, which
+   * is null if it is within the edited regions.
+   * @param {string} uri
+   * @param {import("vscode-languageserver/node.js").Position} position
+   * @returns {Promise<import("vscode-languageserver/node.js").Position | null>}
+   */
+  async toIndexed(uri, position) {
+    const map = await this.map(uri);
+    return map ? map.toOld(position) : position;
+  }
+
+  /**
+   * Translate the range of the live document into the indexed one, which is
+   * null if it is within the edited regions.
+   * @param {string} uri
+   * @param {import("vscode-languageserver/node.js").Range} range
+   * @returns {Promise<import("vscode-languageserver/node.js").Range | null>}
+   */
+  async rangeToIndexed(uri, range) {
+    const map = await this.map(uri);
+    return map ? map.rangeToOld(range) : range;
+  }
+
+  /**
+   * Translate the position of the indexed document into the live one, which
+   * is null if it has been edited.
+   * @param {string} uri
+   * @param {import("vscode-languageserver/node.js").Position} position
+   * @returns {Promise<import("vscode-languageserver/node.js").Position | null>}
+   */
+  async toLive(uri, position) {
+    const map = await this.map(uri);
+    return map ? map.toNew(position) : position;
+  }
+
+  /**
+   * Translate the range of the indexed document into the live one, which is
+   * null if it has been edited.
+   * @param {string} uri
+   * @param {import("vscode-languageserver/node.js").Range} range
+   * @returns {Promise<import("vscode-languageserver/node.js").Range | null>}
+   */
+  async rangeToLive(uri, range) {
+    const map = await this.map(uri);
+    return map ? map.rangeToNew(range) : range;
+  }
+
+  /**
+   * Translate the ranges of the indexed document into the live one, in which
+   * the edited ones are dropped.
+   * @param {string} uri
+   * @param {import("vscode-languageserver/node.js").Range[]} ranges
+   * @returns {Promise<import("vscode-languageserver/node.js").Range[]>}
+   */
+  async rangesToLive(uri, ranges) {
+    const map = await this.map(uri);
+    if (!map) return ranges;
+
+    /** @type {import("vscode-languageserver/node.js").Range[]} */
+    const result = [];
+    for (const range of ranges) {
+      const live = map.rangeToNew(range);
+      if (live) result.push(live);
+    }
+    return result;
+  }
+}
@@ -0,0 +1,44 @@
+// @ts-check
+
+/**
+ * The kind of the folding ranges of inactive preprocessor regions, which is
+ * distinct from `region` so that folding all `#pragma region` ones leaves them
+ * alone.
+ */
+export const INACTIVE = "inactive";
+
+/**
+ * Get the indexed folding ranges of the multiline blocks and the inactive
+ * regions of a file, where the adjacent inactive regions, e.g. those of `#if`
+ * and `#elif`, are merged, and the last lines are kept visible, e.g. the
+ * closing braces or `#endif`.
+ * @param {import("./query.js").Range[]} blocks
+ * @param {import("./query.js").Range[]} inactive
+ * @returns {import("vscode-languageserver/node.js").FoldingRange[]}
+ */
+export function getFoldingRanges(blocks, inactive) {
+  /** @type {import("vscode-languageserver/node.js").FoldingRange[]} */
+  const ranges = [];
+  for (const { begin_row, end_row } of blocks)
+    ranges.push({ startLine: begin_row - 1, endLine: end_row - 2 });
+
+  /** @type {import("vscode-languageserver/node.js").FoldingRange | undefined} */
+  let run;
+  for (const { begin_row, end_row } of [...inactive].sort(
+    (a, b) => a.begin_row - b.begin_row
+  )) {
+    if (run && begin_row - 1 <= run.endLine + 1) {
+      run.endLine = Math.max(run.endLine, end_row - 2);
+    } else {
+      run = {
+        startLine: begin_row - 1,
+        endLine: end_row - 2,
+        kind: INACTIVE,
+        collapsedText: "inactive",
+      };
+      ranges.push(run);
+    }
+  }
+
+  return ranges.filter(({ startLine, endLine }) => endLine > startLine);
+}
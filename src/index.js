@@ -1,18 +1,43 @@
 // @ts-check
 
-import { open } from "node:fs/promises";
 import * as fs from "fs";
 import * as path from "path";
 import {
+  CodeActionKind,
+  CodeLensRefreshRequest,
+  CompletionItemKind,
   createConnection,
+  DiagnosticSeverity,
+  DiagnosticTag,
+  DocumentDiagnosticReportKind,
+  FileChangeType,
+  InlayHintKind,
+  LSPErrorCodes,
   ProposedFeatures,
+  ResponseError,
   SymbolKind,
+  TextDocumentSyncKind,
 } from "vscode-languageserver/node.js";
-import { TextDocument } from "vscode-languageserver-textdocument";
-import Query, { SEMANTIC_EXPANSION, SEMANTIC_INACTIVE } from "./query.js";
+import { SEMANTIC_EXPANSION, SEMANTIC_INACTIVE } from "./query.js";
 import * as mark from "./mark.js";
-
-const query = new Query();
+import {
+  declarator,
+  functionDeclarator,
+  functionSignature,
+  pointee,
+} from "./declaration.js";
+import * as comment from "./comment.js";
+import * as constant from "./constant.js";
+import * as builtins from "./builtins.js";
+import CompilerDiagnostics, { isSidecar } from "./diagnostics.js";
+import Output, { guard, strip } from "./preprocessed.js";
+import SymbolIndex, { getCacheFile } from "./symbols.js";
+import Workspace from "./workspace.js";
+import Documents from "./documents.js";
+import SemanticTokensCache, { encode, split } from "./tokens.js";
+import { getFoldingRanges } from "./folding.js";
+
+const workspace = new Workspace();
 
 /**
  *
@@ -20,9 +45,23 @@ const query = new Query();
  */
 async function getUriInfo(uri) {
   const url = new URL(uri);
+  const query = await workspace.select(url.pathname);
+  if (!query) throw new Error(`No translation unit has ${url.pathname}`);
+
   const doc = await getDocument(uri);
   const src = await query.src(url.pathname);
-  return { doc, src };
+  return { doc, src, query };
+}
+
+/**
+ * Resolve the translation unit set by the user, which might be relative to
+ * the workspace folder.
+ * @param {string | undefined} tu
+ * @returns {string | undefined}
+ */
+function resolveTranslationUnit(tu) {
+  if (!tu) return;
+  return workspace.root ? path.resolve(workspace.root, tu) : tu;
 }
 
 const specMarks = {
@@ -71,13 +110,77 @@ function getSymbolKind(node) {
   return 0;
 }
 
+/**
+ *
+ * @param {import("./query.js").Node} node
+ * @returns {import("vscode-languageserver/node.js").CompletionItemKind}
+ */
+function getCompletionItemKind(node) {
+  switch (node.kind) {
+    case "FunctionDecl":
+      return CompletionItemKind.Function;
+
+    case "RecordDecl":
+      return node.class === 3
+        ? CompletionItemKind.Enum
+        : CompletionItemKind.Struct;
+
+    case "FieldDecl":
+      return CompletionItemKind.Field;
+
+    case "EnumConstantDecl":
+      return CompletionItemKind.EnumMember;
+
+    case "TypedefDecl":
+      return CompletionItemKind.Class;
+
+    case "MacroDecl":
+      return CompletionItemKind.Constant;
+  }
+
+  return CompletionItemKind.Variable;
+}
+
 /**
  * Semantic Tokens
  */
-const tokenTypes = ["macro", "comment"];
-const tokenModifiers = [];
+const tokenTypes = [
+  "macro",
+  "comment",
+  "function",
+  "variable",
+  "parameter",
+  "type",
+  "struct",
+  "enum",
+  "enumMember",
+  "property",
+  "label",
+];
+const tokenModifiers = [
+  "declaration",
+  "definition",
+  "static",
+  "extern",
+  "inline",
+  "readonly",
+  "volatile",
+  "globalScope",
+  "localScope",
+];
 
 const tokenTypesMap = Object.fromEntries(tokenTypes.map((v, i) => [v, i]));
+const tokenModifiersMap = Object.fromEntries(
+  tokenModifiers.map((v, i) => [v, 1 << i])
+);
+
+const specModifiers = {
+  1: tokenModifiersMap["extern"],
+  2: tokenModifiersMap["static"],
+  4: tokenModifiersMap["inline"],
+  8: tokenModifiersMap["readonly"],
+  16: tokenModifiersMap["volatile"],
+};
 
 /**
  *
@@ -92,6 +195,75 @@ function getTokenSemantics(semantics) {
   }
 }
 
+/**
+ *
+ * @param {{kind: string, class: number}} spelling
+ * @returns {number | undefined}
+ */
+function getSpellingType(spelling) {
+  switch (spelling.kind) {
+    case "FunctionDecl":
+      return tokenTypesMap["function"];
+    case "VarDecl":
+      return tokenTypesMap["variable"];
+    case "ParmVarDecl":
+      return tokenTypesMap["parameter"];
+    case "TypedefDecl":
+      return tokenTypesMap["type"];
+    case "RecordDecl":
+      return tokenTypesMap[spelling.class === 3 ? "enum" : "struct"];
+    case "EnumConstantDecl":
+      return tokenTypesMap["enumMember"];
+    case "FieldDecl":
+      return tokenTypesMap["property"];
+    case "LabelDecl":
+      return tokenTypesMap["label"];
+    case "MacroDecl":
+      return tokenTypesMap["macro"];
+  }
+}
+
+/**
+ *
+ * @param {import("./query.js").Spelling} spelling
+ * @returns {number}
+ */
+function getSpellingModifier(spelling) {
+  let modifier = 0;
+  for (const spec in specModifiers) {
+    if (spelling.specs & parseInt(spec)) modifier |= specModifiers[spec];
+  }
+
+  if (spelling.declaration) {
+    modifier |= tokenModifiersMap["declaration"];
+
+    switch (spelling.kind) {
+      case "FunctionDecl":
+      case "RecordDecl":
+        if (spelling.body) modifier |= tokenModifiersMap["definition"];
+        break;
+      case "VarDecl":
+        if (!(spelling.specs & 1)) modifier |= tokenModifiersMap["definition"];
+        break;
+      default:
+        modifier |= tokenModifiersMap["definition"];
+    }
+  }
+
+  switch (spelling.kind) {
+    case "FieldDecl":
+    case "EnumConstantDecl":
+      break;
+    default:
+      modifier |=
+        tokenModifiersMap[
+          spelling.parent_number === 0 ? "globalScope" : "localScope"
+        ];
+  }
+
+  return modifier;
+}
+
 /**
  *
  * @param {number} specs
@@ -108,22 +280,29 @@ function getSpecsMarks(specs, marks = []) {
 }
 
 /**
- *
+ * Get the indexed version of the document, to which the positions of
+ * translation units refer.
  * @param {string | URL} uri
  * @returns
  */
 async function getDocument(uri) {
-  const key = typeof uri === "string" ? uri : uri.toString();
-  let document = documents.get(key);
-  if (!document) {
-    const url = typeof uri === "string" ? new URL(uri) : uri;
-    const file = await open(url.pathname);
-    const content = await file.readFile({ encoding: "utf8" });
-    await file.close();
-    document = TextDocument.create(key, "", 0, content);
-    documents.set(key, document);
-  }
-  return document;
+  return documents.indexed(typeof uri === "string" ? uri : uri.toString());
+}
+
+/**
+ * Translate the ranges of the indexed document into the live one.
+ * @param {string} uri
+ * @param {ReturnType<typeof getRanges>} param1
+ * @returns {Promise<ReturnType<typeof getRanges> | null>}
+ */
+async function getLiveRanges(uri, { range, selectionRange }) {
+  const selection = await documents.rangeToLive(uri, selectionRange);
+  if (!selection) return null;
+
+  // The enclosing range survives partial edits, e.g. within a function body
+  const start = (await documents.toLive(uri, range.start)) || selection.start;
+  const end = (await documents.toLive(uri, range.end)) || selection.end;
+  return { range: { start, end }, selectionRange: selection };
 }
 
 /**
@@ -139,9 +318,39 @@ function isPartOfIdentifier(ch) {
   );
 }
 
+/**
+ * Get the identifier starting at the position.
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {import("vscode-languageserver-textdocument").Position} start
+ * @returns {string}
+ */
+function getIdentifier(doc, start) {
+  const text = doc.getText({
+    start,
+    end: { line: start.line + 1, character: 0 },
+  });
+
+  let n = 0;
+  while (n < text.length && isPartOfIdentifier(text.charCodeAt(n))) ++n;
+  return text.slice(0, n);
+}
+
+/**
+ * Whether the node is still spelled at its location, which is in doubt if
+ * the file is newer than the translation unit of the node.
+ * @param {import("./query.js").Node} node
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {import("vscode-languageserver-textdocument").Range} selectionRange
+ */
+function isIntact(node, doc, selectionRange) {
+  if (!node.name) return true;
+  if (!workspace.isOutdated(new URL(doc.uri).pathname, node.tu)) return true;
+  return doc.getText(selectionRange) === node.name;
+}
+
 /**
  *
- * @param {TextDocument} doc
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
  * @param {import("vscode-languageserver-textdocument").Position} start
  * @returns {import("vscode-languageserver-textdocument").Position}
  */
@@ -160,9 +369,12 @@ function getTokenHead(doc, start) {
 
 /**
  * @typedef {{
+ *   uri: string,
  *   doc: import("vscode-languageserver-textdocument").TextDocument,
  *   src: number,
+ *   query: import("./query.js").default,
  *   pos: import("vscode-languageserver/node.js").Position,
+ *   edited?: boolean,
  *   loc: import("vscode-languageserver/node.js").Position | null,
  *   token: import("./query.js").Token,
  *   decl?: (import("./query.js").Node | undefined)[],
@@ -178,10 +390,23 @@ function getTokenHead(doc, start) {
  */
 async function positionHandler({ textDocument: { uri }, position }) {
   const info = await getUriInfo(uri);
-  const pos = getTokenHead(info.doc, position);
-  const loc = await query.loc(info.src, pos);
-  const token = await query.token(info.src, loc || pos);
-  return { ...info, pos, loc, token };
+  const indexed = await documents.toIndexed(uri, position);
+  if (!indexed) {
+    // Nothing is indexed for the edited regions
+    return {
+      ...info,
+      uri,
+      pos: position,
+      edited: true,
+      loc: null,
+      token: undefined,
+    };
+  }
+
+  const pos = getTokenHead(info.doc, indexed);
+  const loc = await info.query.loc(info.src, pos);
+  const token = await info.query.token(info.src, loc || pos);
+  return { ...info, uri, pos, loc, token };
 }
 
 /**
@@ -190,59 +415,515 @@ async function positionHandler({ textDocument: { uri }, position }) {
  * @returns {Promise<Value>}
  */
 async function tokenHandler(value) {
-  if (value.token) {
-    value.decl = [await query.node(value.token.decl)];
+  if (value.edited) {
+    value.decl = [];
+  } else if (value.token) {
+    value.decl = [await value.query.node(value.token.decl)];
   } else {
     // Sometimes Clang does not generate tokens, e.g., in macro expansions within conditional preprocessors.
     // In such cases, we query the AST node by position.
-    value.decl = await query.decl(value.src, value.pos);
+    value.decl = await value.query.decl(value.src, value.pos);
+  }
+
+  // Positions in an outdated file might be shifted, so that only declarations
+  // spelled the same as the text there are trusted
+  if (workspace.isOutdated(new URL(value.uri).pathname, value.query.tu)) {
+    const name = getIdentifier(value.doc, value.loc || value.pos);
+    value.decl = value.decl.filter((decl) => decl?.name === name);
   }
   return value;
 }
 
+const recordKeywords = ["", "struct", "union", "enum"];
+
+/**
+ *
+ * @param {number} specs
+ * @returns {string} the storage class and function specifiers followed by a space
+ */
+function getStorageSpecs(specs) {
+  let result = "";
+  if (specs & 1) result += "extern ";
+  if (specs & 2) result += "static ";
+  if (specs & 4) result += "inline ";
+  return result;
+}
+
+/**
+ *
+ * @param {import("./query.js").Node} record
+ */
+function getRecordHead(record) {
+  const keyword = recordKeywords[record.class] || "struct";
+  return record.name ? `${keyword} ${record.name}` : keyword;
+}
+
+/**
+ * Reconstruct the C declaration of the node, which is undefined if the node
+ * is not a declaration of C, e.g. a macro.
+ * @param {import("./query.js").Node} decl
+ * @param {import("./query.js").default} query
+ * @returns {Promise<string[] | undefined>}
+ */
+async function getDeclarationLines(decl, query) {
+  switch (decl.kind) {
+    case "FunctionDecl": {
+      const params = (await query.children(decl.number)).filter(
+        (node) => node.kind === "ParmVarDecl"
+      );
+      return [
+        getStorageSpecs(decl.specs) +
+          functionDeclarator(decl.qualified_type, decl.name || "", params),
+      ];
+    }
+
+    case "VarDecl":
+    case "ParmVarDecl":
+    case "FieldDecl":
+      return [
+        getStorageSpecs(decl.specs) +
+          declarator(decl.qualified_type, decl.name),
+      ];
+
+    case "TypedefDecl": {
+      // The type of a typedef might be printed as the typedef itself
+      const type =
+        decl.qualified_type && decl.qualified_type !== decl.name
+          ? decl.qualified_type
+          : decl.desugared_type;
+      return [`typedef ${declarator(type, decl.name)}`];
+    }
+
+    case "EnumConstantDecl":
+      return decl.name ? [decl.name] : undefined;
+
+    case "RecordDecl": {
+      const head = getRecordHead(decl);
+      const members = (await query.children(decl.number)).filter(
+        (node) => node.kind === "FieldDecl" || node.kind === "EnumConstantDecl"
+      );
+      if (!members.length) return [head];
+
+      const { recordFields } = hoverOptions;
+      const shown = recordFields > 0 ? members.slice(0, recordFields) : members;
+
+      const lines = [`${head} {`];
+      for (const member of shown) {
+        lines.push(
+          member.kind === "EnumConstantDecl"
+            ? `  ${member.name},`
+            : `  ${declarator(member.qualified_type, member.name)};`
+        );
+      }
+
+      const rest = members.length - shown.length;
+      if (rest) {
+        const noun = decl.class === 3 ? "enumerator" : "field";
+        lines.push(`  /* ${rest} more ${noun}${rest > 1 ? "s" : ""} */`);
+      }
+
+      lines.push("}");
+      return lines;
+    }
+  }
+}
+
+/**
+ * Get the notes following the declaration, i.e. the desugared type and the
+ * record having the member.
+ * @param {import("./query.js").Node} decl
+ * @param {import("./query.js").default} query
+ * @returns {Promise<mark.Mark[]>}
+ */
+async function getDeclarationNotes(decl, query) {
+  /** @type {mark.Mark[]} */
+  const marks = [];
+
+  const { qualified_type, desugared_type } = decl;
+  if (
+    decl.kind !== "TypedefDecl" &&
+    desugared_type &&
+    desugared_type !== qualified_type
+  )
+    marks.push(
+      new mark.Emphasis("aka"),
+      mark.space,
+      new mark.Code(desugared_type)
+    );
+
+  if (decl.kind === "FieldDecl" || decl.kind === "EnumConstantDecl") {
+    const parent = decl.parent_number && (await query.node(decl.parent_number));
+    if (parent && parent.kind === "RecordDecl")
+      marks.push(
+        mark.newLine,
+        new mark.Emphasis(
+          decl.kind === "FieldDecl" ? "field of" : "enumerator of"
+        ),
+        mark.space,
+        new mark.Code(getRecordHead(parent))
+      );
+  }
+
+  return marks;
+}
+
+/**
+ * Get the documentation comment attached to the declaration.
+ * @param {import("./query.js").Node} decl
+ * @returns {Promise<comment.Documentation | undefined>}
+ */
+async function getComment(decl) {
+  if (decl.begin_src <= 0 || decl.begin_row <= 0) return;
+
+  const filename = await workspace.filename(decl);
+  if (!filename) return;
+
+  const doc = await getDocument("file://" + filename).catch(() => undefined);
+  if (!doc) return;
+
+  const text = doc.getText();
+  const begin = doc.offsetAt({
+    line: decl.begin_row - 1,
+    character: decl.begin_col - 1,
+  });
+  const end =
+    decl.end_row > 0
+      ? doc.offsetAt({ line: decl.end_row - 1, character: decl.end_col - 1 })
+      : begin;
+
+  const raw = comment.extract(text, begin, end);
+  return raw ? comment.parse(raw) : undefined;
+}
+
+/**
+ * Get the documentation of the declaration, which falls back to the one of
+ * its definition or other declarations, e.g. a prototype without comments.
+ * @param {import("./query.js").Node} decl
+ * @returns {Promise<comment.Documentation | undefined>}
+ */
+async function getDocumentation(decl) {
+  const documentation = await getComment(decl);
+  if (documentation) return documentation;
+
+  const def = await workspace.def(decl);
+  const others = def ? [def, ...(await workspace.decl(def))] : [];
+  for (const other of others) {
+    if (other.tu === decl.tu && other.number === decl.number) continue;
+
+    const documentation = await getComment(other);
+    if (documentation) return documentation;
+  }
+}
+
+/**
+ *
+ * @param {comment.Documentation} documentation
+ * @returns {mark.Mark[]}
+ */
+function getDocumentationMarks({ brief, details, params, returns, notes }) {
+  /** @type {mark.Mark[]} */
+  const marks = [];
+
+  for (const paragraph of [brief, ...details]) {
+    if (paragraph) marks.push(mark.newLine, new mark.Mark(paragraph));
+  }
+
+  for (const { name, text } of params) {
+    marks.push(
+      mark.newLine,
+      new mark.Emphasis("@param"),
+      mark.space,
+      new mark.Code(name),
+      new mark.Mark(text ? ` \u2014 ${text}` : "")
+    );
+  }
+  if (returns)
+    marks.push(
+      mark.newLine,
+      new mark.Emphasis("@return"),
+      mark.space,
+      new mark.Mark(returns)
+    );
+  for (const { tag, text } of notes) {
+    marks.push(
+      mark.newLine,
+      new mark.Emphasis(`@${tag}`),
+      mark.space,
+      new mark.Mark(text)
+    );
+  }
+
+  return marks;
+}
+
+/**
+ *
+ * @param {constant.Integer} value
+ * @returns {mark.Mark[]}
+ */
+function getValueMarks(value) {
+  const [decimal, hex, binary] = constant.format(value);
+  return [
+    new mark.Emphasis("value"),
+    mark.space,
+    new mark.Code(decimal),
+    new mark.Mark(", "),
+    new mark.Code(hex),
+    new mark.Mark(", "),
+    new mark.Code(binary),
+  ];
+}
+
+/**
+ * Get the tokens the macro expansion results in, i.e. the tokens without
+ * further expansions, where the first token of a nested expansion takes the
+ * leading space of the token it replaces.
+ * @param {import("./query.js").Node[]} nodes the expansion and its descendants in preorder
+ * @returns {{name: string, space: boolean}[]}
+ */
+function getExpandedTokens(nodes) {
+  /** @type {{name: string, space: boolean}[]} */
+  const tokens = [];
+  let space = false;
+  for (const [i, node] of nodes.entries()) {
+    if (node.kind !== "Token") continue;
+
+    space ||= Boolean(node.specs & specs.hasLeadingSpace);
+    if (nodes[i + 1]?.parent_number === node.number) continue;
+
+    tokens.push({ name: node.name || "", space: tokens.length > 0 && space });
+    space = false;
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate the macro expansion as an integer constant expression.
+ * @param {import("./query.js").Node} expansion
+ * @param {import("./query.js").default} query
+ * @returns {Promise<constant.Integer | undefined>}
+ */
+async function evaluateExpansion(expansion, query) {
+  const nodes = await query.range(expansion.number, expansion.final_number);
+  return constant.evaluate(getExpandedTokens(nodes).map(({ name }) => name));
+}
+
+/**
+ * Get the value of the enumerator, which is its initializer evaluated from
+ * the source, or the previous one plus one.
+ * @param {import("./query.js").Node} decl
+ * @param {import("./query.js").default} query
+ * @param {Set<string>} [visiting] the enumerators being evaluated, to stop on cycles
+ * @returns {Promise<constant.Integer | undefined>}
+ */
+async function getEnumeratorValue(decl, query, visiting = new Set()) {
+  if (visiting.has(decl.ptr)) return;
+  visiting.add(decl.ptr);
+
+  const record = decl.parent_number && (await query.node(decl.parent_number));
+  if (!record || record.kind !== "RecordDecl") return;
+
+  const filename = await query.filename(record.begin_src);
+  if (!filename) return;
+  const doc = await getDocument("file://" + filename).catch(() => undefined);
+  if (!doc) return;
+
+  const text = doc.getText();
+  const end = doc.offsetAt({
+    line: record.end_row - 1,
+    character: record.end_col,
+  });
+
+  /** @type {Map<string, constant.Integer>} */
+  const known = new Map();
+  /** @type {constant.Integer | undefined} */
+  let previous = { value: -1n, type: constant.TYPES.int };
+  for (const enumerator of await query.children(record.number)) {
+    if (enumerator.kind !== "EnumConstantDecl") continue;
+
+    const begin = doc.offsetAt({
+      line: enumerator.begin_row - 1,
+      character: enumerator.begin_col - 1,
+    });
+    const tokens = constant.tokenize(text.slice(begin, end));
+
+    /** @type {constant.Integer | undefined} */
+    let value = previous && constant.next(previous);
+    if (tokens[1]?.text === "=") {
+      // The initializer ends at the next comma or brace outside parentheses
+      let depth = 0;
+      let n = 2;
+      for (; n < tokens.length; ++n) {
+        const token = tokens[n].text;
+        if (token === "(") ++depth;
+        else if (token === ")") --depth;
+        else if (!depth && (token === "," || token === "}")) break;
+      }
+      const initializer = tokens.slice(2, n);
+
+      /** @type {(constant.Integer | undefined)[]} */
+      const identifiers = [];
+      for (const [i, { text: name, offset }] of initializer.entries()) {
+        if (!/^[A-Za-z_]/.test(name) || known.has(name)) continue;
+
+        const pos = doc.positionAt(begin + offset);
+        const expansion = await query.expansion(record.begin_src, pos);
+        if (expansion) {
+          identifiers[i] = await evaluateExpansion(expansion, query);
+          continue;
+        }
+
+        const [other] = await query.decl(record.begin_src, pos);
+        if (other?.kind === "EnumConstantDecl")
+          identifiers[i] = await getEnumeratorValue(other, query, visiting);
+      }
+
+      const initialized = constant.evaluate(
+        initializer.map((token) => token.text),
+        (name, i) => known.get(name) ?? identifiers[i]
+      );
+      value = initialized && constant.enumerator(initialized);
+    }
+
+    if (enumerator.number === decl.number) return value;
+    if (enumerator.name && value !== undefined)
+      known.set(enumerator.name, value);
+    previous = value;
+  }
+}
+
+/**
+ * Whether the function is declared implicitly by the compiler, i.e. either
+ * it has no location, or it is located at the name of its first call.
+ * @param {import("./query.js").Node} decl
+ */
+function isImplicitFunction(decl) {
+  return (
+    decl.begin_src == -1 ||
+    (decl.begin_src === decl.src &&
+      decl.begin_row === decl.row &&
+      decl.begin_col === decl.col)
+  );
+}
+
+/**
+ *
+ * @param {import("./query.js").Node} decl
+ * @returns {mark.Mark[]}
+ */
+function getImplicitFunctionMarks(decl) {
+  if (decl.name && builtins.isBuiltinFunction(decl.name))
+    return [mark.newLine, new mark.Emphasis("compiler builtin")];
+
+  return [
+    mark.newLine,
+    new mark.Emphasis("implicit declaration"),
+    mark.newLine,
+    new mark.Strong("Warning:"),
+    mark.space,
+    new mark.Code(decl.name || ""),
+    new mark.Mark(
+      " is called without a prior declaration, which is invalid since C99 and assumes it returns `int`."
+    ),
+  ];
+}
+
+/**
+ * Describe the macro which is built into the compiler, predefined or defined
+ * on the command line, along with its value in the translation unit.
+ * @param {import("./query.js").Node} decl
+ * @param {string | undefined} filename
+ * @param {import("./query.js").default} query
+ * @param {boolean} [expanded] whether the expansion is shown elsewhere
+ * @returns {Promise<mark.Mark[]>}
+ */
+async function getBuiltinMacroMarks(decl, filename, query, expanded) {
+  const name = decl.name || "";
+
+  /** @type {mark.Mark[]} */
+  const marks = [
+    mark.newLine,
+    new mark.Emphasis(
+      filename === "<command line>"
+        ? "defined on the command line"
+        : filename
+          ? "predefined macro"
+          : "builtin macro"
+    ),
+  ];
+
+  const description = builtins.describeMacro(name);
+  if (description) marks.push(mark.newLine, new mark.Mark(description));
+
+  if (expanded || builtins.isVarying(name)) return marks;
+
+  const expansion = await query.expansionOf(decl);
+  if (!expansion) return marks;
+
+  const nodes = await query.range(expansion.number, expansion.final_number);
+  const tokens = getExpandedTokens(nodes);
+  if (!tokens.length) return marks;
+
+  marks.push(
+    mark.newLine,
+    new mark.Emphasis("value in this translation unit"),
+    mark.space,
+    new mark.Code(
+      tokens.map(({ name, space }) => (space ? ` ${name}` : name)).join("")
+    )
+  );
+  return marks;
+}
+
 /**
  *
  * @param {Value} value
- * @param {{noProvider?: boolean}} [options]
+ * @param {{noProvider?: boolean, expanded?: boolean}} [options]
  * @returns {Promise<Value>}
  */
 async function hoverHandler(value, options) {
   for (const decl of value.decl || []) {
     if (!decl) continue;
 
-    // TODO: add implicit label to implicitly declared functions
-    // TODO: add hover info for those macros, e.g. __has_attribute,  are implicitly registered by compiler
-    const marks = getSpecsMarks(decl.specs);
+    const filename =
+      decl.begin_src != -1
+        ? await value.query.filename(decl.begin_src).catch(() => undefined)
+        : undefined;
+
+    const lines = await getDeclarationLines(decl, value.query);
+
+    /** @type {mark.Mark[]} */
+    const marks = lines
+      ? [new mark.CodeBlock(new mark.Lines(lines), 0, "c")]
+      : getSpecsMarks(decl.specs);
+
+    if (lines) marks.push(...(await getDeclarationNotes(decl, value.query)));
+
+    if (decl.kind === "EnumConstantDecl") {
+      const enumerator = await getEnumeratorValue(decl, value.query);
+      if (enumerator !== undefined)
+        marks.push(mark.newLine, ...getValueMarks(enumerator));
+    }
 
     switch (decl.kind) {
-      case "TypedefDecl":
-        marks.push(new mark.Emphasis("typedef"), mark.space);
-        break;
-      case "FieldDecl":
-        marks.push(new mark.Emphasis("field"), mark.space);
-        break;
-      case "RecordDecl":
-        switch (decl.class) {
-          case 1:
-            marks.push(new mark.Emphasis("struct"), mark.space);
-            break;
-        }
-        break;
       case "MacroDecl":
         marks.push(new mark.Emphasis("#define"), mark.space);
         break;
       case "ExpansionDecl":
         if (decl.ref_ptr) {
-          const ref = await query.node(decl.ref_ptr);
+          const ref = await value.query.node(decl.ref_ptr);
           if (!ref) break;
 
           const v = await hoverHandler(
             { ...value, decl: [ref] },
-            { noProvider: true }
+            { noProvider: true, expanded: true }
           );
           if (v.mark) {
             marks.push(v.mark, mark.newLine, mark.thematicBreak, mark.newLine);
-            const nodes = await query.range(decl.number, decl.final_number);
+            const nodes = await value.query.range(
+              decl.number,
+              decl.final_number
+            );
             /** @type {Map<number, number>} */
             const indents = new Map();
             indents.set(nodes[0].number, 0);
@@ -278,45 +959,66 @@ async function hoverHandler(value, options) {
                 --i;
               }
             }
+
+            // Show what a constant expression finally expands to
+            const tokens = getExpandedTokens(nodes);
+            const result = constant.evaluate(tokens.map(({ name }) => name));
+            if (result !== undefined) {
+              const expanded = tokens
+                .map(({ name, space }) => (space ? ` ${name}` : name))
+                .join("");
+              marks.push(
+                mark.newLine,
+                new mark.Emphasis("expands to"),
+                mark.space,
+                new mark.Code(expanded),
+                mark.newLine,
+                ...getValueMarks(result)
+              );
+            }
           }
         }
         break;
     }
 
-    if (decl.kind !== "ExpansionDecl") {
+    if (!lines && decl.kind !== "ExpansionDecl") {
       if (decl.name) {
         marks.push(new mark.Strong(decl.name));
       }
 
-      if (decl.class) {
-        const children = await hoverHandler(
-          { ...value, decl: await query.children(decl.number) },
-          { noProvider: true }
-        );
-        if (children.mark)
-          marks.push(
-            mark.newLine,
-            mark.thematicBreak,
-            mark.newLine,
-            children.mark
-          );
-      } else {
-        const { qualified_type, desugared_type } = decl;
-        if (qualified_type)
-          marks.push(mark.space, new mark.Emphasis(qualified_type));
-        if (desugared_type && desugared_type !== qualified_type)
-          marks.push(mark.space, new mark.Code(desugared_type));
-      }
+      const { qualified_type, desugared_type } = decl;
+      if (qualified_type)
+        marks.push(mark.space, new mark.Emphasis(qualified_type));
+      if (desugared_type && desugared_type !== qualified_type)
+        marks.push(mark.space, new mark.Code(desugared_type));
+    }
+
+    if (decl.kind === "FunctionDecl" && isImplicitFunction(decl))
+      marks.push(...getImplicitFunctionMarks(decl));
+
+    if (decl.kind === "MacroDecl" && (!filename || filename.startsWith("<")))
+      marks.push(
+        ...(await getBuiltinMacroMarks(
+          decl,
+          filename,
+          value.query,
+          options?.expanded
+        ))
+      );
+
+    if (decl.kind !== "ExpansionDecl") {
+      const documentation = await getDocumentation(decl);
+      if (documentation) marks.push(...getDocumentationMarks(documentation));
     }
 
+    // Pseudo files, e.g. `<built-in>`, provide nothing to open
     if (
       !options?.noProvider &&
-      decl.begin_src != -1 &&
+      filename &&
+      !filename.startsWith("<") &&
       decl.begin_src != value.src
-    ) {
-      const filename = await query.filename(decl.begin_src);
-      if (filename) marks.push(new mark.Provider(filename));
-    }
+    )
+      marks.push(new mark.Provider(filename));
 
     if (value.mark) {
       value.mark.appendList(marks);
@@ -327,6 +1029,26 @@ async function hoverHandler(value, options) {
   return value;
 }
 
+/**
+ * Show the value of the integer literal, where nothing is declared.
+ * @param {Value} value
+ * @returns {Value}
+ */
+function literalHandler(value) {
+  if (value.mark || value.edited) return value;
+
+  const [token] = constant.tokenize(
+    value.doc.getText({
+      start: value.pos,
+      end: { line: value.pos.line + 1, character: 0 },
+    })
+  );
+  const literal =
+    token && token.offset === 0 ? constant.parseLiteral(token.text) : undefined;
+  if (literal !== undefined) value.mark = new mark.Mark(getValueMarks(literal));
+  return value;
+}
+
 /**
  *
  * @param {Value} value
@@ -337,7 +1059,7 @@ async function declarationHandler(value) {
     for (const link of value.link) {
       if (link) {
         const definition = link[0];
-        const declarations = await query.decl(definition);
+        const declarations = await workspace.decl(definition);
         link.push(...declarations);
       }
     }
@@ -355,7 +1077,7 @@ async function definitionHandler(value) {
   if (value.decl) {
     value.link = [];
     for (const decl of value.decl) {
-      const def = decl && (await query.def(decl));
+      const def = decl && (await workspace.def(decl));
       // fallback to decl if possible
       value.link.push(def ? [def] : decl && [decl]);
     }
@@ -364,6 +1086,22 @@ async function definitionHandler(value) {
   return value;
 }
 
+/**
+ *
+ * @param {Value} value
+ * @returns {Promise<Value>}
+ */
+async function implementationHandler(value) {
+  if (value.decl) {
+    value.link = [];
+    for (const decl of value.decl) {
+      value.link.push(decl && (await workspace.implementations(decl)));
+    }
+  }
+
+  return value;
+}
+
 /**
  *
  * @param {Value} value
@@ -379,7 +1117,7 @@ async function typeDefinitionHandler(value) {
         case "FunctionDecl":
         case "FieldDecl":
           if (decl.type_ptr) {
-            const type = await query.node(decl.type_ptr);
+            const type = await value.query.node(decl.type_ptr);
             value.link.push(type && [type]);
           }
           break;
@@ -394,7 +1132,7 @@ async function typeDefinitionHandler(value) {
  *
  * @param {Value} value
  */
-function documentHighlightHandler(value) {
+async function documentHighlightHandler(value) {
   if (value.link) {
     /** @type {import("vscode-languageserver/node.js").DocumentHighlight[]} */
     const result = [];
@@ -402,8 +1140,12 @@ function documentHighlightHandler(value) {
       if (!link) continue;
 
       for (const node of link) {
-        if (node.begin_src === value.src) {
-          result.push({ range: getRanges(node, value.doc).selectionRange });
+        if (node.tu === value.query.tu && node.begin_src === value.src) {
+          const { selectionRange } = getRanges(node, value.doc);
+          if (!isIntact(node, value.doc, selectionRange)) continue;
+
+          const range = await documents.rangeToLive(value.uri, selectionRange);
+          if (range) result.push({ range });
         }
       }
     }
@@ -428,9 +1170,9 @@ function referencesHandler(context) {
         const link = value.link[i];
         if (!link) continue;
 
-        const refs = await query.refs(
-          link.map((node) => node.ptr),
-          context.scoped ? value.src : undefined
+        const refs = await workspace.refs(
+          link,
+          context.scoped ? { tu: value.query.tu, src: value.src } : undefined
         );
 
         if (context.includeDeclaration) link.push(...refs);
@@ -498,7 +1240,7 @@ function getRanges(node, doc) {
  * @returns
  */
 async function getUri(node) {
-  const filename = await query.filename(node.begin_src);
+  const filename = await workspace.filename(node);
   // Skip the builtin files
   if (!filename || filename.startsWith("<")) return;
 
@@ -506,7 +1248,19 @@ async function getUri(node) {
 }
 
 /**
- *
+ * Get the detail of the node, which is annotated with the translation unit
+ * if it comes from another one than the current.
+ * @param {import("./query.js").Node} node
+ * @param {string} tu the current translation unit
+ * @returns {string}
+ */
+function getDetail(node, tu) {
+  if (!node.tu || node.tu === tu) return node.qualified_type;
+  return `${node.qualified_type} \u2014 ${path.basename(node.tu)}`;
+}
+
+/**
+ *
  * @param {import("./query.js").Node} node
  * @returns
  */
@@ -515,7 +1269,12 @@ async function getLink(node) {
   if (!uri) return;
 
   const doc = await getDocument(uri);
-  const result = getRanges(node, doc);
+  const ranges = getRanges(node, doc);
+  if (!isIntact(node, doc, ranges.selectionRange)) return;
+
+  const result = await getLiveRanges(uri, ranges);
+  if (!result) return;
+
   return { doc, uri, ...result };
 }
 
@@ -529,17 +1288,27 @@ async function linkHandler(value) {
     /** @type {import("vscode-languageserver/node.js").LocationLink[]} */
     const links = [];
 
+    /** @type {Set<string>} */
+    const seen = new Set();
+
     for (const items of value.link) {
       if (!items) continue;
 
       for (const node of items) {
         const link = await getLink(node);
-        if (link)
-          links.push({
-            targetUri: link.uri,
-            targetRange: link.range,
-            targetSelectionRange: link.selectionRange,
-          });
+        if (!link) continue;
+
+        // The same entity might be seen by several translation units
+        const { start } = link.selectionRange;
+        const key = `${link.uri}:${start.line}:${start.character}`;
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        links.push({
+          targetUri: link.uri,
+          targetRange: link.range,
+          targetSelectionRange: link.selectionRange,
+        });
       }
     }
     return links;
@@ -578,113 +1347,988 @@ function markHandler(value) {
   return null;
 }
 
+/**
+ * Whether the file is part of the workspace, i.e. neither a builtin file nor
+ * a system file outside the workspace folder.
+ * @param {string | undefined} filename
+ * @returns {filename is string}
+ */
+function isWorkspaceFile(filename) {
+  if (!filename || filename.startsWith("<")) return false;
+  if (!workspace.root) return true;
+
+  const relative = path.relative(workspace.root, filename);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ *
+ * @param {string} reason
+ */
+function refuseRename(reason) {
+  return new ResponseError(LSPErrorCodes.RequestFailed, reason);
+}
+
+/**
+ * Find where the name of the node is spelled, which is somewhere in the range
+ * of the node, or in the macro arguments if it is expanded from a macro.
+ * @param {import("./query.js").Node} node
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {string} name
+ * @returns {Promise<import("vscode-languageserver/node.js").Range | undefined>}
+ */
+async function getSpellingRange(node, doc, name) {
+  const { range, selectionRange } = getRanges(node, doc);
+  if (doc.getText(selectionRange) === name) return selectionRange;
+
+  let scope = range;
+  if (node.exp_row) {
+    const exp = await workspace.exp(node);
+    if (!exp || node.exp_src !== node.begin_src) return;
+
+    scope = {
+      start: { line: exp.begin_row - 1, character: exp.begin_col - 1 },
+      end: { line: exp.end_row - 1, character: exp.end_col - 1 },
+    };
+  }
+
+  // The spelling must be unambiguous
+  const matches = [
+    ...doc.getText(scope).matchAll(new RegExp(`\\b${name}\\b`, "g")),
+  ];
+  if (matches.length !== 1) return;
+
+  const offset = doc.offsetAt(scope.start) + (matches[0].index || 0);
+  return {
+    start: doc.positionAt(offset),
+    end: doc.positionAt(offset + name.length),
+  };
+}
+
+/**
+ * Check whether the entity at the position can be renamed, and get the range
+ * of its name.
+ * @param {Value} value
+ * @returns {Promise<{
+ *   name: string,
+ *   range: import("vscode-languageserver/node.js").Range,
+ *   entities: import("./query.js").Node[],
+ * }>}
+ */
+async function prepareRenameHandler(value) {
+  const decl = value.decl?.find(Boolean);
+  if (!decl?.name || getSpellingType(decl) === undefined)
+    throw refuseRename("There is no symbol to rename here");
+
+  const { name } = decl;
+  const identifier = getIdentifier(value.doc, value.pos);
+  if (identifier !== name)
+    throw refuseRename(
+      value.loc
+        ? `\`${identifier}\` is within the expansion of \`${name}\`, rename it where it is declared`
+        : `\`${name}\` is created by macro pasting`
+    );
+
+  const range = await documents.rangeToLive(value.uri, {
+    start: value.pos,
+    end: { line: value.pos.line, character: value.pos.character + name.length },
+  });
+  if (!range) throw refuseRename(`\`${name}\` has been edited`);
+
+  /** @type {import("./query.js").Node[]} */
+  const entities = [];
+  for (const link of value.link || []) {
+    if (link) entities.push(...link);
+  }
+
+  for (const node of entities) {
+    const filename = await workspace.filename(node);
+    if (!isWorkspaceFile(filename))
+      throw refuseRename(
+        `\`${name}\` is declared in ${filename || "an unknown file"}, which is not part of the workspace`
+      );
+  }
+
+  return { name, range, entities };
+}
+
+/**
+ * Explain why the name of the node is not spelled where the node is, i.e. in
+ * the definition of the macro it is expanded from, or created by pasting.
+ * @param {import("./query.js").Node} node
+ * @param {string} name
+ * @param {string} where
+ * @returns {Promise<string>}
+ */
+async function getUnspelledReason(node, name, where) {
+  const query = workspace.query(node.tu);
+  const loc = node.exp_row ? await query.exp(node) : undefined;
+  const expansion =
+    loc &&
+    (await query.expansion(node.exp_src, {
+      line: loc.begin_row - 1,
+      character: loc.begin_col - 1,
+    }));
+  const macro = expansion?.ref_ptr
+    ? await query.node(expansion.ref_ptr)
+    : undefined;
+  const filename = macro && (await query.filename(macro.begin_src));
+  if (macro && filename) {
+    const doc = await getDocument("file://" + filename);
+    const { range } = getRanges(macro, doc);
+    if (new RegExp(`\\b${name}\\b`).test(doc.getText(range)))
+      return `\`${name}\` is referenced in the definition of \`${macro.name}\`, which is expanded at ${where}`;
+  }
+  return `\`${name}\` is created by macro pasting at ${where}`;
+}
+
+/**
+ * Collect the edits renaming all declarations, definitions and references of
+ * the entity across translation units.
+ * @param {string} newName
+ */
+function renameHandler(newName) {
+  /**
+   *
+   * @param {Awaited<ReturnType<typeof prepareRenameHandler>>} param0
+   * @returns {Promise<import("vscode-languageserver/node.js").WorkspaceEdit>}
+   */
+  return async ({ name, entities }) => {
+    if (!/^[A-Za-z_]\w*$/.test(newName))
+      throw refuseRename(`\`${newName}\` is not a valid identifier`);
+    if (builtins.isKeyword(newName))
+      throw refuseRename(`\`${newName}\` is a keyword`);
+
+    const nodes = await workspace.counterparts(entities);
+    const collision =
+      newName !== name && (await workspace.collision(nodes, newName));
+    if (collision) {
+      const filename = await workspace.filename(collision);
+      const where = filename
+        ? `${workspace.root ? path.relative(workspace.root, filename) : filename}:${collision.begin_row}`
+        : "an unknown file";
+      throw refuseRename(`\`${newName}\` is already declared at ${where}`);
+    }
+    const refs = await workspace.refs(nodes);
+
+    /** @type {Map<string, import("vscode-languageserver/node.js").Range[]>} */
+    const edits = new Map();
+
+    /** @type {Set<string>} */
+    const seen = new Set();
+
+    /** @type {Set<string>} the translation units in which the renamed are seen */
+    const covered = new Set();
+
+    for (const node of [...nodes, ...refs]) {
+      const filename = await workspace.filename(node);
+      if (!isWorkspaceFile(filename))
+        throw refuseRename(
+          `\`${name}\` is referenced in ${filename || "an unknown file"}, which is not part of the workspace`
+        );
+
+      const uri = "file://" + filename;
+      const doc = await getDocument(uri);
+      const where = `${workspace.root ? path.relative(workspace.root, filename) : filename}:${node.begin_row}`;
+
+      const spelling = await getSpellingRange(node, doc, name);
+      if (!spelling)
+        throw refuseRename(await getUnspelledReason(node, name, where));
+
+      const range = await documents.rangeToLive(uri, spelling);
+      if (!range) throw refuseRename(`\`${name}\` at ${where} has been edited`);
+
+      covered.add(node.tu);
+
+      const key = `${uri}:${range.start.line}:${range.start.character}`;
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      const ranges = edits.get(uri);
+      if (ranges) ranges.push(range);
+      else edits.set(uri, [range]);
+    }
+
+    // Report how the files shared by translation units are covered, since
+    // the uses from the translation units not indexed yet would be missed
+    /** @type {Record<string, import("vscode-languageserver/node.js").ChangeAnnotation>} */
+    const changeAnnotations = {};
+    for (const uri of edits.keys()) {
+      const tus = await workspace.translationUnitsOf(new URL(uri).pathname);
+      if (tus.length < 2) continue;
+
+      const missing = tus.filter((tu) => !covered.has(tu));
+      const names = (/** @type {string[]} */ tus) =>
+        tus.map((tu) => path.basename(tu)).join(", ");
+
+      changeAnnotations[uri] = {
+        label: `Shared by ${tus.length} translation units`,
+        description: missing.length
+          ? `not covered: ${names(missing)}`
+          : `covered: ${names(tus)}`,
+        needsConfirmation: missing.length > 0,
+      };
+    }
+
+    const shared = Object.keys(changeAnnotations);
+    const workspaceEdit = clientCapabilities.workspace?.workspaceEdit;
+    if (
+      workspaceEdit?.documentChanges &&
+      workspaceEdit.changeAnnotationSupport
+    ) {
+      return {
+        documentChanges: [...edits].map(([uri, ranges]) => ({
+          textDocument: { uri, version: documents.live(uri)?.version ?? null },
+          edits: ranges.map((range) => ({
+            range,
+            newText: newName,
+            ...(changeAnnotations[uri] && { annotationId: uri }),
+          })),
+        })),
+        ...(shared.length && { changeAnnotations }),
+      };
+    }
+
+    if (shared.length)
+      connection.window.showInformationMessage(
+        `Renaming \`${name}\` changes files shared by translation units: ${shared
+          .map(
+            (uri) =>
+              `${path.basename(uri)} (${changeAnnotations[uri].label.toLowerCase()}, ${changeAnnotations[uri].description})`
+          )
+          .join("; ")}`
+      );
+
+    return {
+      changes: Object.fromEntries(
+        [...edits].map(([uri, ranges]) => [
+          uri,
+          ranges.map((range) => ({ range, newText: newName })),
+        ])
+      ),
+    };
+  };
+}
+
+/**
+ *
+ * @param {import("vscode-languageserver/node.js").Position} a
+ * @param {import("vscode-languageserver/node.js").Position} b
+ */
+function comparePosition(a, b) {
+  return a.line - b.line || a.character - b.character;
+}
+
+/**
+ *
+ * @param {import("vscode-languageserver/node.js").Range} outer
+ * @param {import("vscode-languageserver/node.js").Range} inner
+ */
+function containsRange(outer, inner) {
+  return (
+    comparePosition(outer.start, inner.start) <= 0 &&
+    comparePosition(inner.end, outer.end) <= 0
+  );
+}
+
+/**
+ * Get the range of the node to select, which is the whole macro invocation if
+ * the node is expanded from a macro but not spelled in its arguments.
+ * @param {import("./query.js").Node} node
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {number} src
+ * @returns {Promise<import("vscode-languageserver/node.js").Range | undefined>}
+ */
+async function getSelectionRange(node, doc, src) {
+  const { range } = getRanges(node, doc);
+  if (!node.exp_row) return node.begin_src === src ? range : undefined;
+
+  const exp = node.exp_src === src && (await workspace.exp(node));
+  if (!exp) return;
+
+  const invocation = {
+    start: { line: exp.begin_row - 1, character: exp.begin_col - 1 },
+    end: { line: exp.end_row - 1, character: exp.end_col - 1 },
+  };
+  return node.begin_src === src && containsRange(invocation, range)
+    ? range
+    : invocation;
+}
+
 // Create a connection for the server, using Node's IPC as a transport.
 // Also include all preview / proposed LSP features.
 const connection = createConnection(ProposedFeatures.all);
 
+/**
+ * @type {import("vscode-languageserver/node.js").ClientCapabilities}
+ */
+let clientCapabilities = {};
+
+/**
+ * The options of hovers.
+ */
+const hoverOptions = {
+  // The maximum number of fields of a record to show, 0 for no limit
+  recordFields: 20,
+};
+
+/**
+ * The categories of inlay hints to show.
+ */
+const inlayHints = {
+  parameterNames: true,
+  deducedTypes: true,
+  macroValues: true,
+};
+
 /**
  * Create a simple text document manager.
- * @type {Map<import("vscode-languageserver/node.js").URI, import("vscode-languageserver-textdocument").TextDocument>}
  **/
-const documents = new Map();
+const documents = new Documents();
 
 /**
- *
- * @param {string} dirPath
- * @returns {Promise<string[]>}
+ * @typedef {import("./tokens.js").SemanticTokenItem} SemanticTokenItem
  */
-export function readDir(dirPath) {
-  return new Promise((resolve) => {
-    fs.readdir(dirPath, (error, list) => {
-      if (error) {
-        resolve([]);
-      } else {
-        resolve(list);
-      }
-    });
-  });
+
+const semanticTokens = new SemanticTokensCache();
+
+/**
+ * The diagnostics of each document, grouped by where they come from.
+ * @type {Map<string, Map<string, import("vscode-languageserver/node.js").Diagnostic[]>>}
+ */
+const diagnostics = new Map();
+
+/**
+ * Replace the diagnostics of the document from the origin, and publish all
+ * diagnostics of the document.
+ * @param {string} uri
+ * @param {string} origin
+ * @param {import("vscode-languageserver/node.js").Diagnostic[]} items
+ */
+function setDiagnostics(uri, origin, items) {
+  let group = diagnostics.get(uri);
+  if (!group) {
+    if (!items.length) return;
+
+    group = new Map();
+    diagnostics.set(uri, group);
+  }
+
+  if (items.length) group.set(origin, items);
+  else group.delete(origin);
+
+  if (!group.size) diagnostics.delete(uri);
+  connection.sendDiagnostics({ uri, diagnostics: [...group.values()].flat() });
 }
 
 /**
- *
- * @param {string} filePath
- * @returns {Promise<fs.Stats | undefined>}
+ * Warn if the document has changed since its translation units were produced.
+ * @param {string} uri
+ * @returns {Promise<boolean>} whether the warning has changed
  */
-function getLStat(filePath) {
-  return new Promise((resolve) => {
-    fs.lstat(filePath, (_err, stats) => {
-      if (stats) {
-        resolve(stats);
-      } else {
-        resolve(undefined);
-      }
+async function checkOutdated(uri) {
+  const outdated = await workspace.check(new URL(uri).pathname).catch(() => []);
+  const root = workspace.root;
+  const previous = diagnostics.get(uri)?.get("outdated")?.[0]?.message;
+  const message =
+    outdated.length > 0
+      ? `The file is newer than its index, which needs rebuilding: ${outdated
+          .map((tu) => (root ? path.relative(root, tu) : tu))
+          .join(", ")}`
+      : undefined;
+
+  setDiagnostics(
+    uri,
+    "outdated",
+    message
+      ? [
+          {
+            severity: DiagnosticSeverity.Information,
+            range: {
+              start: { line: 0, character: 0 },
+              end: { line: 0, character: 0 },
+            },
+            source: "language-server-cc",
+            message,
+          },
+        ]
+      : []
+  );
+  return message !== previous;
+}
+
+/**
+ * Have the client request the inlay hints, semantic tokens and code lenses
+ * again, which are not provided for outdated documents.
+ */
+function refreshViews() {
+  const capabilities = clientCapabilities.workspace;
+  if (capabilities?.inlayHint?.refreshSupport)
+    connection.languages.inlayHint.refresh();
+  if (capabilities?.semanticTokens?.refreshSupport)
+    connection.languages.semanticTokens.refresh();
+  if (capabilities?.codeLens?.refreshSupport)
+    connection.sendRequest(CodeLensRefreshRequest.type);
+}
+
+const compilerDiagnostics = new CompilerDiagnostics();
+
+/**
+ * The version of the compiler diagnostics, which changes with the files of
+ * translation units and their diagnostics.
+ */
+let compilerVersion = 0;
+
+/**
+ * The compiler diagnostics of all translation units by documents, in the
+ * indexed versions of the documents.
+ * @type {Promise<Map<string, import("vscode-languageserver/node.js").Diagnostic[]>> | undefined}
+ */
+let compilerResults;
+
+/**
+ * The documents the compiler diagnostics have been pushed to.
+ * @type {Set<string>}
+ */
+let compilerUris = new Set();
+
+/**
+ * @type {Record<import("./diagnostics.js").Severity, import("vscode-languageserver/node.js").DiagnosticSeverity>}
+ */
+const compilerSeverities = {
+  error: DiagnosticSeverity.Error,
+  warning: DiagnosticSeverity.Warning,
+  note: DiagnosticSeverity.Information,
+  remark: DiagnosticSeverity.Hint,
+};
+
+/**
+ * Get the diagnostics the compiler reported for the translation unit, where
+ * the locations within macro invocations cover the whole invocations.
+ * @param {string} tu
+ * @returns {Promise<Map<string, import("vscode-languageserver/node.js").Diagnostic[]>>}
+ */
+async function getCompilerDiagnostics(tu) {
+  /** @type {Map<string, import("vscode-languageserver/node.js").Diagnostic[]>} */
+  const result = new Map();
+
+  // Open the translation unit only if it has diagnostics to locate
+  const reported = await compilerDiagnostics.load(tu);
+  if (!reported.length) return result;
+
+  const query = workspace.query(tu);
+  for (const item of reported) {
+    const start = { line: item.line - 1, character: item.column - 1 };
+    let range = {
+      start,
+      end: item.endLine
+        ? {
+            line: item.endLine - 1,
+            character: (item.endColumn || item.column) - 1,
+          }
+        : start,
+    };
+
+    const src = await query.src(item.filename).catch(() => undefined);
+    const begin = src !== undefined && (await query.loc(src, start));
+    const extent =
+      src !== undefined &&
+      begin &&
+      (await query.extent({
+        begin_src: src,
+        begin_row: begin.line + 1,
+        begin_col: begin.character + 1,
+      }));
+    if (extent) {
+      range = {
+        start: { line: extent.begin_row - 1, character: extent.begin_col - 1 },
+        end: { line: extent.end_row - 1, character: extent.end_col - 1 },
+      };
+    }
+
+    const uri = "file://" + item.filename;
+    const items = result.get(uri) || [];
+    items.push({
+      severity: compilerSeverities[item.severity],
+      range,
+      source: "compiler",
+      code: item.code,
+      message: item.message,
     });
-  });
+    result.set(uri, items);
+  }
+  return result;
 }
 
 /**
- *
- * @param {string} dir
- * @param {RegExp} regex
- * @param {string[]} files
- * @param {string[]} result
- * @returns
+ * Get the compiler diagnostics of all translation units, where those of the
+ * headers shared by translation units are reported once.
+ * @returns {Promise<Map<string, import("vscode-languageserver/node.js").Diagnostic[]>>}
  */
-async function recGetAllFilePaths(dir, regex, files, result) {
-  for (const item of files) {
-    const file = path.join(dir, item);
-    try {
-      const status = await getLStat(file);
-      if (status) {
-        if (status.isDirectory() && !status.isSymbolicLink()) {
-          result = await recGetAllFilePaths(
-            file,
-            regex,
-            await readDir(file),
-            result
-          );
-        } else if (status.isFile() && regex.test(file)) {
-          result.push(file);
+function getAllCompilerDiagnostics() {
+  compilerResults ||= (async () => {
+    /** @type {Map<string, import("vscode-languageserver/node.js").Diagnostic[]>} */
+    const result = new Map();
+
+    /** @type {Set<string>} */
+    const seen = new Set();
+    for (const tu of workspace.translationUnits) {
+      const diagnostics = await getCompilerDiagnostics(tu).catch((error) => {
+        connection.console.warn(
+          `Failed to load the diagnostics of ${tu}: ${error.message}`
+        );
+        return new Map();
+      });
+
+      for (const [uri, items] of diagnostics) {
+        for (const item of items) {
+          const { start } = item.range;
+          const key = `${uri}:${start.line}:${start.character}:${item.message}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          const merged = result.get(uri) || [];
+          merged.push(item);
+          result.set(uri, merged);
         }
       }
-    } catch (error) {
-      continue;
     }
+    return result;
+  })();
+  return compilerResults;
+}
+
+/**
+ * Translate the diagnostics of the indexed document into the live one, in
+ * which those in the edited regions are dropped.
+ * @param {string} uri
+ * @param {import("vscode-languageserver/node.js").Diagnostic[]} items
+ * @returns {Promise<import("vscode-languageserver/node.js").Diagnostic[]>}
+ */
+async function getLiveDiagnostics(uri, items) {
+  /** @type {import("vscode-languageserver/node.js").Diagnostic[]} */
+  const result = [];
+  for (const item of items) {
+    const range = await documents.rangeToLive(uri, item.range);
+    if (range) result.push({ ...item, range });
   }
   return result;
 }
 
-connection.onInitialize(async ({ workspaceFolders, initializationOptions }) => {
-  /** @type {string[] | undefined} */
-  let translationUnits;
+/**
+ * Whether the client pulls diagnostics rather than having them pushed.
+ */
+function isPullingDiagnostics() {
+  return !!clientCapabilities.textDocument?.diagnostic;
+}
 
-  const uri = workspaceFolders?.[0].uri;
-  if (uri) {
-    const path = new URL(uri).pathname;
-    translationUnits = await recGetAllFilePaths(
-      path,
-      /\.o$/,
-      await readDir(path),
-      []
+/**
+ * Reload the compiler diagnostics, and push them to the documents, or have
+ * the client pull them again.
+ */
+async function reloadCompilerDiagnostics() {
+  ++compilerVersion;
+  compilerResults = undefined;
+
+  if (isPullingDiagnostics()) {
+    if (clientCapabilities.workspace?.diagnostics?.refreshSupport)
+      connection.languages.diagnostics.refresh();
+    return;
+  }
+
+  const all = await getAllCompilerDiagnostics();
+  for (const uri of new Set([...compilerUris, ...all.keys()])) {
+    setDiagnostics(
+      uri,
+      "compiler",
+      await getLiveDiagnostics(uri, all.get(uri) || [])
     );
   }
+  compilerUris = new Set(all.keys());
+}
 
-  /** @type {string | undefined} */
-  const translationUnit = initializationOptions?.translationUnit;
-  if (translationUnit) query.tu = translationUnit;
+/**
+ * The most names listed in a diagnostic.
+ */
+const MAX_LISTED_NAMES = 3;
 
-  return {
-    capabilities: {
-      hoverProvider: true,
-      declarationProvider: true,
-      definitionProvider: true,
-      typeDefinitionProvider: true,
-      implementationProvider: true,
-      documentHighlightProvider: true,
+/**
+ * Find the headers the file includes without using any of them, and the ones
+ * it uses only through other headers, i.e. include what you use, where the
+ * fixes are carried in the data of the diagnostics, all in the indexed version
+ * of the document.
+ * @param {string} uri
+ * @returns {Promise<import("vscode-languageserver/node.js").Diagnostic[]>}
+ */
+async function getIncludeDiagnostics(uri) {
+  const filename = new URL(uri).pathname;
+  const { doc, src, query } = await getUriInfo(uri);
+  if (workspace.isOutdated(filename, query.tu)) return [];
+
+  const links = (await query.links()).filter(
+    ({ desugared_type }) => desugared_type
+  );
+  const included = new Set(links.map(({ desugared_type }) => desugared_type));
+
+  /** @type {Map<number, string | undefined>} */
+  const filenames = new Map();
+  /** @param {number} src */
+  const getFilename = async (src) => {
+    if (!filenames.has(src))
+      filenames.set(src, await query.filename(src).catch(() => undefined));
+    return filenames.get(src);
+  };
+
+  /** @type {Map<string, Set<string>>} */
+  const graph = new Map();
+  for (const link of links) {
+    const includer = await getFilename(link.src);
+    if (!includer) continue;
+
+    const targets = graph.get(includer) || new Set();
+    targets.add(link.desugared_type);
+    graph.set(includer, targets);
+  }
+
+  // Suggest only the headers meant to be included, unlike the private headers
+  // of libraries, e.g. <bits/types.h>, which only their own headers include
+  /** @type {Set<string>} */
+  const suggestible = new Set();
+  for (const [includer, targets] of graph) {
+    if (!isWorkspaceFile(includer)) continue;
+    for (const target of targets) suggestible.add(target);
+  }
+
+  // The files each directive of the document brings in, directly or not
+  /** @type {Map<number, import("./query.js").Node>} */
+  const rows = new Map();
+  for (const link of links) {
+    // A file included many times has the same directives each time
+    if (link.src === src && !rows.has(link.row)) rows.set(link.row, link);
+  }
+  const directives = [...rows.values()].sort((a, b) => a.row - b.row);
+  const closures = directives.map(({ desugared_type }) => {
+    const closure = new Set([desugared_type]);
+    for (const header of closure) {
+      for (const target of graph.get(header) || []) closure.add(target);
+    }
+    return closure;
+  });
+
+  /** @type {Map<string, {names: string[], use: import("vscode-languageserver/node.js").Range}>} */
+  const providers = new Map();
+  for (const decl of await query.references(src)) {
+    const provider = await getFilename(decl.begin_src);
+    if (!provider || provider === filename || !included.has(provider)) continue;
+
+    const provided = providers.get(provider);
+    if (provided) {
+      if (!provided.names.includes(decl.name || ""))
+        provided.names.push(decl.name || "");
+      continue;
+    }
+
+    const start = { line: decl.use_row - 1, character: decl.use_col - 1 };
+    providers.set(provider, {
+      names: [decl.name || ""],
+      use: {
+        start,
+        end: {
+          line: start.line,
+          character: start.character + (decl.name || "").length,
+        },
+      },
+    });
+  }
+
+  const directory = path.dirname(filename);
+  const roots = await getIncludeRoots(query);
+  /** @param {string} header */
+  const spell = (header) => {
+    const spelled = spellHeader(header, directory, roots);
+    if (!spelled) return path.basename(header);
+    return spelled.delimiter === "<"
+      ? `<${spelled.name}>`
+      : `"${spelled.name}"`;
+  };
+
+  /** @param {import("./query.js").Node} link */
+  const getLine = (link) => ({
+    start: { line: link.row - 1, character: 0 },
+    end: { line: link.row, character: 0 },
+  });
+
+  /** @param {import("./query.js").Node} link */
+  const getDirective = (link) => ({
+    start: { line: link.row - 1, character: 0 },
+    end: {
+      line: link.row - 1,
+      character: doc.getText(getLine(link)).trimEnd().length,
+    },
+  });
+
+  // New directives go after the existing ones
+  const last = directives[directives.length - 1];
+  const insertion = { line: last ? last.row : 0, character: 0 };
+
+  /** @type {import("vscode-languageserver/node.js").Diagnostic[]} */
+  const items = [];
+
+  /** @type {Set<import("./query.js").Node>} */
+  const used = new Set();
+  for (const [provider, { names, use }] of providers) {
+    const direct = directives.find(
+      ({ desugared_type }) => desugared_type === provider
+    );
+    const through =
+      direct || directives.find((_, i) => closures[i].has(provider));
+    if (through) used.add(through);
+    if (direct || !(isWorkspaceFile(provider) || suggestible.has(provider)))
+      continue;
+
+    const listed = names
+      .slice(0, MAX_LISTED_NAMES)
+      .map((name) => `\`${name}\``);
+    const rest = names.length - listed.length;
+    const subject = rest
+      ? `${listed.join(", ")} and ${rest} more`
+      : listed.join(", ");
+    const verb = names.length > 1 ? "are" : "is";
+    const header = spell(provider);
+    items.push({
+      severity: DiagnosticSeverity.Information,
+      range: through ? getDirective(through) : use,
+      source: "language-server-cc",
+      code: "missing-include",
+      message: through
+        ? `${subject} ${verb} declared in ${header}, which is only included through ${spell(through.desugared_type)}`
+        : `${subject} ${verb} declared in ${header}, which is not included directly`,
+      data: {
+        title: `Add #include ${header}`,
+        range: { start: insertion, end: insertion },
+        newText: `#include ${header}\n`,
+      },
+    });
+  }
+
+  for (const directive of directives) {
+    if (used.has(directive)) continue;
+
+    // Respect the pragmas of include-what-you-use to keep the directives
+    const line = getLine(directive);
+    if (/IWYU\s+pragma:\s*(?:keep|export)/.test(doc.getText(line))) continue;
+
+    const header = spell(directive.desugared_type);
+    items.push({
+      severity: DiagnosticSeverity.Warning,
+      range: getDirective(directive),
+      source: "language-server-cc",
+      code: "unused-include",
+      tags: [DiagnosticTag.Unnecessary],
+      message: `None of the declarations in ${header} is used`,
+      data: {
+        title: `Remove #include ${header}`,
+        range: line,
+        newText: "",
+      },
+    });
+  }
+  return items;
+}
+
+/**
+ * The include diagnostics of the opened documents, in their indexed versions.
+ * @type {Map<string, import("vscode-languageserver/node.js").Diagnostic[]>}
+ */
+const includeResults = new Map();
+
+/**
+ * Check the inclusions of the document against what it uses.
+ * @param {string} uri
+ */
+async function checkIncludes(uri) {
+  includeResults.set(uri, await getIncludeDiagnostics(uri).catch(() => []));
+  await publishIncludes(uri);
+}
+
+/**
+ * Publish the include diagnostics of the document in its live version, where
+ * those in the edited regions are dropped, and so are the missing headers
+ * which have been included since.
+ * @param {string} uri
+ */
+async function publishIncludes(uri) {
+  const text = documents.live(uri)?.getText() || "";
+
+  /** @type {import("vscode-languageserver/node.js").Diagnostic[]} */
+  const items = [];
+  for (const item of includeResults.get(uri) || []) {
+    if (item.code === "missing-include" && text.includes(item.data.newText))
+      continue;
+
+    const range = await documents.rangeToLive(uri, item.range);
+    const fix = await documents.rangeToLive(uri, item.data.range);
+    if (range && fix)
+      items.push({ ...item, range, data: { ...item.data, range: fix } });
+  }
+  setDiagnostics(uri, "includes", items);
+}
+
+/**
+ *
+ * @param {string} dirPath
+ * @returns {Promise<string[]>}
+ */
+export function readDir(dirPath) {
+  return new Promise((resolve) => {
+    fs.readdir(dirPath, (error, list) => {
+      if (error) {
+        resolve([]);
+      } else {
+        resolve(list);
+      }
+    });
+  });
+}
+
+/**
+ *
+ * @param {string} filePath
+ * @returns {Promise<fs.Stats | undefined>}
+ */
+function getLStat(filePath) {
+  return new Promise((resolve) => {
+    fs.lstat(filePath, (_err, stats) => {
+      if (stats) {
+        resolve(stats);
+      } else {
+        resolve(undefined);
+      }
+    });
+  });
+}
+
+/**
+ *
+ * @param {string} dir
+ * @param {RegExp} regex
+ * @param {string[]} files
+ * @param {string[]} result
+ * @returns
+ */
+async function recGetAllFilePaths(dir, regex, files, result) {
+  for (const item of files) {
+    const file = path.join(dir, item);
+    try {
+      const status = await getLStat(file);
+      if (status) {
+        if (status.isDirectory() && !status.isSymbolicLink()) {
+          result = await recGetAllFilePaths(
+            file,
+            regex,
+            await readDir(file),
+            result
+          );
+        } else if (status.isFile() && regex.test(file)) {
+          result.push(file);
+        }
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  return result;
+}
+
+/**
+ * Index the symbols of the translation units which have been produced since
+ * they were indexed.
+ */
+async function updateSymbolIndex() {
+  const { symbolIndex, translationUnits } = workspace;
+  if (!symbolIndex) return;
+
+  const n = await symbolIndex.update(translationUnits, (tu, error) =>
+    connection.console.warn(`Failed to index ${tu}: ${error.message}`)
+  );
+  if (!n) return;
+
+  workspace.reset();
+  connection.console.log(`Indexed ${n} translation units`);
+}
+
+connection.onInitialize(async (params) => {
+  const { workspaceFolders, initializationOptions, capabilities } = params;
+  clientCapabilities = capabilities;
+
+  /** @type {string[] | undefined} */
+  let translationUnits;
+
+  const uri = workspaceFolders?.[0].uri;
+  if (uri) {
+    const path = new URL(uri).pathname;
+    workspace.root = path;
+    translationUnits = await recGetAllFilePaths(
+      path,
+      /\.o$/,
+      await readDir(path),
+      []
+    );
+  }
+
+  Object.assign(hoverOptions, initializationOptions?.hover);
+  Object.assign(inlayHints, initializationOptions?.inlayHints);
+
+  /** @type {string | undefined} */
+  const translationUnit = initializationOptions?.translationUnit;
+  workspace.preferred = resolveTranslationUnit(translationUnit);
+
+  if (uri && translationUnits) {
+    /** @type {string | undefined} */
+    const cacheFile = initializationOptions?.symbolIndex;
+    const symbolIndex = new SymbolIndex(cacheFile || getCacheFile(uri));
+    workspace.symbolIndex = symbolIndex;
+    workspace.translationUnits = translationUnits;
+
+    // Build the index in background, the persisted one is usable meanwhile
+    updateSymbolIndex().catch((error) =>
+      connection.console.error(error.message)
+    );
+  }
+
+  return {
+    capabilities: {
+      textDocumentSync: {
+        openClose: true,
+        change: TextDocumentSyncKind.Incremental,
+        save: true,
+      },
+      hoverProvider: true,
+      codeActionProvider: { codeActionKinds: [CodeActionKind.QuickFix] },
+      diagnosticProvider: {
+        interFileDependencies: true,
+        workspaceDiagnostics: true,
+      },
+      signatureHelpProvider: { triggerCharacters: ["(", ","] },
+      completionProvider: {
+        triggerCharacters: [".", ">", "<", '"', "/"],
+        resolveProvider: true,
+      },
+      declarationProvider: true,
+      definitionProvider: true,
+      typeDefinitionProvider: true,
+      implementationProvider: true,
+      documentHighlightProvider: true,
       referencesProvider: true,
       callHierarchyProvider: true,
+      codeLensProvider: { resolveProvider: true },
       documentSymbolProvider: true,
+      workspaceSymbolProvider: true,
       documentLinkProvider: { resolveProvider: true },
+      foldingRangeProvider: true,
+      selectionRangeProvider: true,
+      inlayHintProvider: true,
+      renameProvider: { prepareProvider: true },
       semanticTokensProvider: {
         legend: { tokenTypes, tokenModifiers },
         range: true,
@@ -693,157 +2337,1820 @@ connection.onInitialize(async ({ workspaceFolders, initializationOptions }) => {
       experimental: { translationUnits },
     },
   };
-});
+});
+
+connection.onInitialized(async () => {
+  if (!isPullingDiagnostics()) await reloadCompilerDiagnostics();
+});
+
+connection.onDidChangeWatchedFiles(async ({ changes }) => {
+  let diagnosed = false;
+  let produced = false;
+  for (const { uri, type } of changes) {
+    const filename = new URL(uri).pathname;
+    if (isSidecar(filename)) diagnosed = true;
+    if (!/\.o$/.test(filename) || !workspace.root) continue;
+
+    // Reopen the translation units produced again
+    const known = workspace.translationUnits.includes(filename);
+    workspace.drop(filename);
+    if (type === FileChangeType.Deleted) {
+      workspace.translationUnits = workspace.translationUnits.filter(
+        (tu) => tu !== filename
+      );
+    } else if (!known) {
+      if (path.relative(workspace.root, filename).startsWith("..")) continue;
+      workspace.translationUnits.push(filename);
+    }
+    produced = true;
+  }
+
+  if (produced) {
+    // The files on disk are what the translation units are produced from
+    documents.reindex();
+    workspace.reset();
+    listings.clear();
+    await updateSymbolIndex().catch((error) =>
+      connection.console.error(error.message)
+    );
+
+    for (const uri of documents.uris()) await checkOutdated(uri);
+    refreshViews();
+  }
+
+  // The diagnostics are saved after or along with the translation units
+  if (diagnosed || produced) await reloadCompilerDiagnostics();
+  if (produced)
+    for (const uri of includeResults.keys()) await checkIncludes(uri);
+});
+
+connection.languages.diagnostics.on(async ({ textDocument: { uri } }) => {
+  const all = await getAllCompilerDiagnostics();
+  return {
+    kind: DocumentDiagnosticReportKind.Full,
+    items: await getLiveDiagnostics(uri, all.get(uri) || []),
+  };
+});
+
+connection.languages.diagnostics.onWorkspace(async ({ previousResultIds }) => {
+  const all = await getAllCompilerDiagnostics();
+  const resultId = String(compilerVersion);
+
+  /** @type {Map<string, string>} */
+  const previous = new Map(
+    previousResultIds.map(({ uri, value }) => [uri, value])
+  );
+
+  /** @type {import("vscode-languageserver/node.js").WorkspaceDocumentDiagnosticReport[]} */
+  const items = [];
+  for (const uri of new Set([...previous.keys(), ...all.keys()])) {
+    if (previous.get(uri) === resultId) {
+      items.push({
+        kind: DocumentDiagnosticReportKind.Unchanged,
+        uri,
+        version: null,
+        resultId,
+      });
+    } else {
+      // Those cleared are reported as empty
+      items.push({
+        kind: DocumentDiagnosticReportKind.Full,
+        uri,
+        version: null,
+        resultId,
+        items: await getLiveDiagnostics(uri, all.get(uri) || []),
+      });
+    }
+  }
+  return { items };
+});
+
+connection.onDidOpenTextDocument(async ({ textDocument }) => {
+  documents.open(textDocument);
+  await checkOutdated(textDocument.uri);
+  await checkIncludes(textDocument.uri);
+});
+
+connection.onDidSaveTextDocument(async ({ textDocument }) => {
+  if (await checkOutdated(textDocument.uri)) refreshViews();
+});
+
+connection.onDidChangeTextDocument(async ({ textDocument, contentChanges }) => {
+  documents.change(textDocument, contentChanges);
+  await publishIncludes(textDocument.uri);
+});
+
+connection.onDidCloseTextDocument(({ textDocument }) => {
+  documents.close(textDocument.uri);
+  semanticTokens.delete(textDocument.uri);
+  workspace.uncheck(new URL(textDocument.uri).pathname);
+  setDiagnostics(textDocument.uri, "outdated", []);
+  includeResults.delete(textDocument.uri);
+  setDiagnostics(textDocument.uri, "includes", []);
+});
+
+connection.onCodeAction(({ textDocument: { uri }, context }) => {
+  /** @type {import("vscode-languageserver/node.js").CodeAction[]} */
+  const actions = [];
+  for (const diagnostic of context.diagnostics) {
+    const { code, data } = diagnostic;
+    if (code !== "unused-include" && code !== "missing-include") continue;
+    if (!data) continue;
+
+    actions.push({
+      title: data.title,
+      kind: CodeActionKind.QuickFix,
+      diagnostics: [diagnostic],
+      edit: {
+        changes: { [uri]: [{ range: data.range, newText: data.newText }] },
+      },
+    });
+  }
+  return actions;
+});
+
+connection.onDidChangeConfiguration(async ({ settings }) => {
+  if (Array.isArray(settings)) {
+    for (let i = 0, n = settings.length; i < n; i += 2)
+      switch (settings[i]) {
+        case "languageServerCC.tu":
+          workspace.preferred = resolveTranslationUnit(settings[i + 1]);
+          break;
+        case "languageServerCC.inlayHints.parameterNames":
+        case "languageServerCC.inlayHints.deducedTypes":
+        case "languageServerCC.inlayHints.macroValues": {
+          const category = /** @type {keyof typeof inlayHints} */ (
+            settings[i].split(".").pop()
+          );
+          inlayHints[category] = settings[i + 1] !== false;
+          if (clientCapabilities.workspace?.inlayHint?.refreshSupport)
+            connection.languages.inlayHint.refresh();
+          break;
+        }
+        case "languageServerCC.hover.recordFields":
+          hoverOptions.recordFields = Number(settings[i + 1]) || 0;
+          break;
+      }
+  }
+});
+
+connection.onRequest(
+  "languageServerCC/translationUnit",
+  /**
+   * @param {import("vscode-languageserver/node.js").TextDocumentIdentifier} param0
+   * @returns {Promise<string | null>}
+   */
+  async ({ uri }) => {
+    const query = await workspace.select(new URL(uri).pathname);
+    return query ? query.tu : null;
+  }
+);
+
+connection.onNotification(
+  "languageServerCC/selectTranslationUnit",
+  /**
+   * @param {{uri: string, tu: string}} param0
+   */
+  ({ uri, tu }) => {
+    const resolved = resolveTranslationUnit(tu);
+    if (resolved) workspace.choose(new URL(uri).pathname, resolved);
+  }
+);
+
+/**
+ * Expand the macro up to the level of nesting, where the expansions deeper
+ * are left as their names.
+ * @param {number} number the node whose children are expanded
+ * @param {Map<number, import("./query.js").Node[]>} children
+ * @param {number} level
+ * @returns {{name: string, space: boolean}[]}
+ */
+function expandMacro(number, children, level) {
+  /** @type {{name: string, space: boolean}[]} */
+  const tokens = [];
+  for (const child of children.get(number) || []) {
+    const space = Boolean(child.specs & specs.hasLeadingSpace);
+
+    /** @type {{name: string, space: boolean}[]} */
+    let replacement = [];
+    if (child.kind === "ExpansionDecl") {
+      if (level > 0)
+        replacement = expandMacro(child.number, children, level - 1);
+      else tokens.push({ name: child.name || "", space });
+    } else if (child.kind === "Token") {
+      // A token with children is replaced by the expansion under it
+      if (level > 0 && children.has(child.number))
+        replacement = expandMacro(child.number, children, level);
+      else tokens.push({ name: child.name || "", space });
+    }
+
+    // The first token of the replacement takes the leading space
+    if (replacement.length)
+      tokens.push({ ...replacement[0], space }, ...replacement.slice(1));
+  }
+  return tokens;
+}
+
+/**
+ * Get the range of the macro invocation, which includes the arguments of
+ * function-like macros.
+ * @param {import("./query.js").Node} expansion
+ * @param {import("./query.js").default} query
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @returns {Promise<import("vscode-languageserver/node.js").Range>}
+ */
+async function getExpansionRange(expansion, query, doc) {
+  const extent = await query.extent(expansion);
+  if (!extent) return getRanges(expansion, doc).range;
+
+  return {
+    start: { line: extent.begin_row - 1, character: extent.begin_col - 1 },
+    end: { line: extent.end_row - 1, character: extent.end_col - 1 },
+  };
+}
+
+/**
+ * Get the steps of the macro expansion, from the invocation in the source to
+ * the fully expanded tokens, each of which expands one more level.
+ * @param {import("./query.js").Node} expansion
+ * @param {import("./query.js").default} query
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @returns {Promise<string[]>}
+ */
+async function getExpansionSteps(expansion, query, doc) {
+  const nodes = await query.range(expansion.number, expansion.final_number);
+
+  /** @type {Map<number, import("./query.js").Node[]>} */
+  const children = new Map();
+  for (const node of nodes) {
+    const siblings = children.get(node.parent_number);
+    if (siblings) siblings.push(node);
+    else children.set(node.parent_number, [node]);
+  }
+
+  const steps = [doc.getText(await getExpansionRange(expansion, query, doc))];
+  for (let level = 0; level < nodes.length; ++level) {
+    const text = expandMacro(expansion.number, children, level)
+      .map(({ name, space }, i) => (i && space ? ` ${name}` : name))
+      .join("");
+    if (text === steps[steps.length - 1]) break;
+    steps.push(text);
+  }
+  return steps;
+}
+
+connection.onRequest(
+  "languageServerCC/expandMacro",
+  /**
+   * @param {{
+   *   textDocument: import("vscode-languageserver/node.js").TextDocumentIdentifier,
+   *   position?: import("vscode-languageserver/node.js").Position,
+   *   range?: import("vscode-languageserver/node.js").Range,
+   * }} param0
+   * @returns {Promise<{expansions: {name: string, range: import("vscode-languageserver/node.js").Range, steps: string[], text: string}[]}>}
+   */
+  async ({ textDocument: { uri }, position, range }) => {
+    const { doc, src, query } = await getUriInfo(uri);
+
+    /** @type {import("./query.js").Node[]} */
+    let expansions = [];
+    if (range) {
+      const indexed = await documents.rangeToIndexed(uri, range);
+      const nodes = indexed ? await query.range(src, indexed) : [];
+
+      // Nested expansions are steps of the outer ones
+      let last = 0;
+      for (const node of nodes.sort((a, b) => a.number - b.number)) {
+        if (node.kind !== "ExpansionDecl" || node.number <= last) continue;
+        expansions.push(node);
+        last = node.final_number;
+      }
+    } else if (position) {
+      const indexed = await documents.toIndexed(uri, position);
+      const expansion =
+        indexed && (await query.expansion(src, getTokenHead(doc, indexed)));
+      if (expansion) expansions = [expansion];
+    }
+
+    const result = [];
+    for (const expansion of expansions) {
+      const live = await documents.rangeToLive(
+        uri,
+        await getExpansionRange(expansion, query, doc)
+      );
+      if (!live) continue;
+
+      const steps = await getExpansionSteps(expansion, query, doc);
+      result.push({
+        name: expansion.name || "",
+        range: live,
+        steps,
+        text: steps[steps.length - 1],
+      });
+    }
+    return { expansions: result };
+  }
+);
+
+/**
+ * Preprocess the file into the output, where the included files are
+ * preprocessed in place if `included` is given, and otherwise the inclusion
+ * directives are kept. Files included again are skipped only if they guard
+ * themselves, and never while they are being preprocessed.
+ * @param {number} src
+ * @param {import("./query.js").default} query
+ * @param {Output} output
+ * @param {Set<number>} [included] the files having been included
+ * @param {Set<number>} [active] the files being preprocessed
+ */
+async function preprocessFile(
+  src,
+  query,
+  output,
+  included,
+  active = new Set([src])
+) {
+  const filename = await query.filename(src);
+  if (!filename || filename.startsWith("<")) return;
+
+  const uri = "file://" + filename;
+  const doc = await getDocument(uri).catch(() => undefined);
+  if (!doc) return;
+
+  const source = doc.getText();
+  let text = strip(source);
+
+  /** @type {Map<string, import("vscode-languageserver/node.js").Range>} */
+  const extents = new Map();
+  for (const range of await query.semantics(src)) {
+    const start = { line: range.begin_row - 1, character: range.begin_col - 1 };
+    const end = { line: range.end_row - 1, character: range.end_col - 1 };
+    if (range.semantics === SEMANTIC_EXPANSION) {
+      extents.set(`${range.begin_row}:${range.begin_col}`, { start, end });
+    } else {
+      // Blank the inactive regions, which keeps the lines
+      const [begin, stop] = [doc.offsetAt(start), doc.offsetAt(end)];
+      text =
+        text.slice(0, begin) +
+        text.slice(begin, stop).replace(/[^\n]/g, " ") +
+        text.slice(stop);
+    }
+  }
+
+  /**
+   * @type {({start: number, end: number} & (
+   *   {range: import("vscode-languageserver/node.js").Range, text: string} |
+   *   {include: number, line: number} |
+   *   {directive: string}
+   * ))[]}
+   */
+  const replacements = [];
+
+  const nodes = await query.expanded(src);
+  for (let i = 0; i < nodes.length; ) {
+    const expansion = nodes[i];
+    let j = i + 1;
+    while (j < nodes.length && nodes[j].number <= expansion.final_number) ++j;
+
+    // Nested expansions are part of the outermost ones
+    if (expansion.kind === "ExpansionDecl") {
+      const range =
+        extents.get(`${expansion.begin_row}:${expansion.begin_col}`) ||
+        getRanges(expansion, doc).range;
+      replacements.push({
+        start: doc.offsetAt(range.start),
+        end: doc.offsetAt(range.end),
+        range,
+        text: getExpandedTokens(nodes.slice(i, j))
+          .map(({ name, space }) => (space ? ` ${name}` : name))
+          .join(""),
+      });
+    }
+    i = j;
+  }
+
+  for (const link of await query.links(src)) {
+    const start = doc.offsetAt({ line: link.begin_row - 1, character: 0 });
+    const end = doc.offsetAt({ line: link.end_row, character: 0 });
+
+    if (!included) {
+      replacements.push({ start, end, directive: source.slice(start, end) });
+      continue;
+    }
+
+    const target =
+      link.desugared_type &&
+      (await query.src(link.desugared_type).catch(() => undefined));
+    if (target === undefined || active.has(target)) continue;
+
+    // Unguarded headers such as X-macro tables are expanded each time
+    if (included.has(target) && (await getGuard(target, query))) continue;
+    included.add(target);
+    replacements.push({ start, end, include: target, line: link.end_row });
+  }
+
+  replacements.sort((a, b) => a.start - b.start);
+
+  let offset = 0;
+  for (const replacement of replacements) {
+    if (replacement.start < offset) continue;
+
+    output.copy(
+      text.slice(offset, replacement.start),
+      uri,
+      doc.positionAt(offset)
+    );
+    if ("text" in replacement) {
+      output.expand(replacement.text, uri, replacement.range);
+    } else if ("directive" in replacement) {
+      output.copy(
+        replacement.directive,
+        uri,
+        doc.positionAt(replacement.start)
+      );
+    } else {
+      const name = await query.filename(replacement.include);
+      output.mark(1, name, 1);
+      await preprocessFile(
+        replacement.include,
+        query,
+        output,
+        included,
+        new Set([...active, replacement.include])
+      );
+      output.mark(replacement.line + 1, filename, 2);
+    }
+    offset = replacement.end;
+  }
+  output.copy(text.slice(offset), uri, doc.positionAt(offset));
+}
+
+/**
+ * Find how the file guards itself against multiple inclusion.
+ * @param {number} src
+ * @param {import("./query.js").default} query
+ */
+async function getGuard(src, query) {
+  const filename = await query.filename(src);
+  if (!filename) return;
+
+  const doc = await getDocument("file://" + filename).catch(() => undefined);
+  return doc && guard(doc.getText());
+}
+
+connection.onRequest(
+  "languageServerCC/preprocess",
+  /**
+   * @param {{
+   *   textDocument: import("vscode-languageserver/node.js").TextDocumentIdentifier,
+   *   translationUnit?: boolean,
+   * }} param0
+   * @returns {Promise<{text: string, mappings: import("./preprocessed.js").Mapping[]} | null>}
+   */
+  async ({ textDocument: { uri }, translationUnit }) => {
+    const { src, query } = await getUriInfo(uri);
+
+    const output = new Output();
+    if (translationUnit) {
+      const main = await query.main();
+      if (!main) return null;
+
+      const first = await query.src(main);
+      output.mark(1, main);
+      await preprocessFile(first, query, output, new Set([first]));
+    } else {
+      output.mark(1, await query.filename(src));
+      await preprocessFile(src, query, output);
+    }
+
+    // Map back to the live documents, dropping the edited regions
+    /** @type {import("./preprocessed.js").Mapping[]} */
+    const mappings = [];
+    for (const mapping of output.mappings) {
+      const position = await documents.toLive(mapping.uri, mapping.position);
+      const expansion =
+        mapping.expansion &&
+        (await documents.rangeToLive(mapping.uri, mapping.expansion));
+      if (!position || expansion === null) continue;
+
+      mappings.push({
+        ...mapping,
+        position,
+        expansion: expansion || undefined,
+      });
+    }
+    return { text: output.text, mappings };
+  }
+);
+
+connection.onDocumentLinks(async ({ textDocument }) => {
+  const { src, query } = await getUriInfo(textDocument.uri);
+  const nodes = await query.links(src);
+  /** @type {import("vscode-languageserver/node.js").DocumentLink[]} */
+  const links = [];
+
+  for (const node of nodes) {
+    if (!node.name || !node.desugared_type) continue;
+
+    const range = await documents.rangeToLive(textDocument.uri, {
+      start: {
+        line: node.row - 1,
+        character: node.col - 1,
+      },
+      end: {
+        line: node.row,
+        character: 0,
+      },
+    });
+    if (!range) continue;
+
+    links.push({
+      range,
+      target: "file://" + node.desugared_type,
+      tooltip: new mark.Mark([
+        new mark.Emphasis("#" + node.name),
+        mark.space,
+        new mark.Strong(node.desugared_type),
+      ]).toText(),
+    });
+  }
+
+  return links;
+});
+
+/**
+ * An edge of the include hierarchy, where `uri` is the included file, or the
+ * including one in the reverse hierarchy, and `skipped` tells how the file was
+ * guarded against being included again.
+ * @typedef {{
+ *   uri: string,
+ *   name: string,
+ *   directive: import("vscode-languageserver/node.js").Location,
+ *   skipped?: ReturnType<typeof guard>,
+ *   children: Inclusion[],
+ * }} Inclusion
+ */
+
+/**
+ * Get the inclusion directives of the translation unit in the order they are
+ * processed, along with the guards of the files included again.
+ * @param {import("./query.js").default} query
+ */
+async function getInclusions(query) {
+  const links = (await query.links())
+    .filter(({ desugared_type }) => desugared_type)
+    .sort((a, b) => a.number - b.number);
+
+  /** @type {Map<number, ReturnType<typeof guard>>} */
+  const skipped = new Map();
+
+  /** @type {Set<string>} */
+  const entered = new Set();
+
+  // Only the files included again are read for their guards
+  /** @type {Map<string, ReturnType<typeof guard>>} */
+  const guards = new Map();
+  for (const link of links) {
+    const target = link.desugared_type;
+    if (!entered.has(target)) {
+      entered.add(target);
+      continue;
+    }
+
+    if (!guards.has(target)) {
+      const doc = await getDocument("file://" + target).catch(() => undefined);
+      guards.set(target, doc ? guard(doc.getText()) : undefined);
+    }
+    const how = guards.get(target);
+    if (how) skipped.set(link.number, how);
+  }
+  return { links, skipped };
+}
+
+/**
+ * Create the edge of the include hierarchy for the inclusion directive.
+ * @param {import("./query.js").Node} link
+ * @param {string} uri
+ * @param {import("./query.js").default} query
+ * @param {ReturnType<typeof guard>} skipped
+ * @returns {Promise<Inclusion | undefined>}
+ */
+async function getInclusion(link, uri, query, skipped) {
+  const filename = await query.filename(link.src).catch(() => undefined);
+  if (!filename) return;
+
+  const directive = "file://" + filename;
+  const range = await documents.rangeToLive(directive, {
+    start: { line: link.row - 1, character: link.col - 1 },
+    end: { line: link.row, character: 0 },
+  });
+  if (!range) return;
+
+  return {
+    uri,
+    name: link.name || "",
+    directive: { uri: directive, range },
+    skipped,
+    children: [],
+  };
+}
+
+/**
+ * Merge the edges of the reverse include hierarchies of translation units,
+ * where an edge is skipped only if it is skipped in all of them.
+ * @param {Inclusion[]} inclusions
+ * @param {Inclusion[]} others
+ */
+function mergeInclusions(inclusions, others) {
+  for (const other of others) {
+    const same = inclusions.find(
+      ({ directive }) =>
+        directive.uri === other.directive.uri &&
+        directive.range.start.line === other.directive.range.start.line
+    );
+    if (!same) {
+      inclusions.push(other);
+      continue;
+    }
+
+    if (!other.skipped) same.skipped = undefined;
+    mergeInclusions(same.children, other.children);
+  }
+}
+
+connection.onRequest(
+  "languageServerCC/includes",
+  /**
+   * Get the files the document includes in the selected translation unit.
+   * @param {{textDocument: import("vscode-languageserver/node.js").TextDocumentIdentifier}} param0
+   * @returns {Promise<Inclusion[]>}
+   */
+  async ({ textDocument: { uri } }) => {
+    const { src, query } = await getUriInfo(uri);
+    const { links, skipped } = await getInclusions(query);
+
+    /**
+     * @param {number} src
+     * @param {Set<string>} ancestors
+     * @returns {Promise<Inclusion[]>}
+     */
+    const getIncludes = async (src, ancestors) => {
+      /** @type {Inclusion[]} */
+      const inclusions = [];
+
+      // A file included many times has the same directives each time
+      const rows = new Set();
+      for (const link of links) {
+        if (link.src !== src || rows.has(link.row)) continue;
+        rows.add(link.row);
+
+        const target = link.desugared_type;
+        const how = skipped.get(link.number);
+        const inclusion = await getInclusion(
+          link,
+          "file://" + target,
+          query,
+          how
+        );
+        if (!inclusion) continue;
+
+        const child = await query.src(target).catch(() => undefined);
+        if (!how && child !== undefined && !ancestors.has(target)) {
+          inclusion.children = await getIncludes(
+            child,
+            new Set(ancestors).add(target)
+          );
+        }
+        inclusions.push(inclusion);
+      }
+      return inclusions;
+    };
+
+    return getIncludes(src, new Set([new URL(uri).pathname]));
+  }
+);
+
+connection.onRequest(
+  "languageServerCC/includedBy",
+  /**
+   * Get the chains of files including the document in all translation units.
+   * @param {{textDocument: import("vscode-languageserver/node.js").TextDocumentIdentifier}} param0
+   * @returns {Promise<Inclusion[]>}
+   */
+  async ({ textDocument: { uri } }) => {
+    const filename = new URL(uri).pathname;
+
+    /** @type {Inclusion[]} */
+    const result = [];
+    for (const tu of await workspace.translationUnitsOf(filename)) {
+      const query = workspace.query(tu);
+      const { links, skipped } = await getInclusions(query);
+
+      /**
+       * @param {string} filename
+       * @param {Set<string>} descendants
+       * @returns {Promise<Inclusion[]>}
+       */
+      const getIncluders = async (filename, descendants) => {
+        /** @type {Inclusion[]} */
+        const inclusions = [];
+
+        /** @type {Set<string>} */
+        const directives = new Set();
+        for (const link of links) {
+          const key = `${link.src}:${link.row}`;
+          if (link.desugared_type !== filename || directives.has(key)) continue;
+          directives.add(key);
+
+          const includer = await query.filename(link.src).catch(() => "");
+          if (!includer || includer.startsWith("<")) continue;
+
+          const inclusion = await getInclusion(
+            link,
+            "file://" + includer,
+            query,
+            skipped.get(link.number)
+          );
+          if (!inclusion) continue;
+
+          if (!descendants.has(includer)) {
+            inclusion.children = await getIncluders(
+              includer,
+              new Set(descendants).add(includer)
+            );
+          }
+          inclusions.push(inclusion);
+        }
+        return inclusions;
+      };
+
+      mergeInclusions(
+        result,
+        await getIncluders(filename, new Set([filename]))
+      );
+    }
+    return result;
+  }
+);
+
+connection.onDocumentSymbol(async ({ textDocument }) => {
+  const { doc, src, query } = await getUriInfo(textDocument.uri);
+  const nodes = await query.symbols(src);
+  /** @type {import("vscode-languageserver/node.js").DocumentSymbol[]} */
+  const symbols = [];
+
+  for (const node of nodes) {
+    /** @type {any} */
+    const kind = getSymbolKind(node);
+    if (!kind || !node.name || !node.row) continue;
+
+    const indexedRanges = getRanges(node, doc);
+    if (!isIntact(node, doc, indexedRanges.selectionRange)) continue;
+
+    const ranges = await getLiveRanges(textDocument.uri, indexedRanges);
+    if (ranges) symbols.push({ name: node.name, kind, ...ranges });
+  }
+
+  return symbols;
+});
+
+connection.onFoldingRanges(async ({ textDocument }) => {
+  const { src, query } = await getUriInfo(textDocument.uri);
+
+  // Lines of an outdated file might be shifted
+  if (workspace.isOutdated(new URL(textDocument.uri).pathname, query.tu))
+    return [];
+
+  const inactive = (await query.semantics(src)).filter(
+    ({ semantics }) => semantics === SEMANTIC_INACTIVE
+  );
+  const ranges = getFoldingRanges(await query.blocks(src), inactive);
+
+  /** @type {import("vscode-languageserver/node.js").FoldingRange[]} */
+  const result = [];
+
+  /** @type {Set<string>} */
+  const seen = new Set();
+
+  for (const range of ranges) {
+    const start = await documents.toLive(textDocument.uri, {
+      line: range.startLine,
+      character: 0,
+    });
+    const end = await documents.toLive(textDocument.uri, {
+      line: range.endLine,
+      character: 0,
+    });
+    if (!start || !end || end.line <= start.line) continue;
+
+    const key = `${start.line}:${end.line}`;
+    if (seen.has(key)) continue;
+
+    seen.add(key);
+    result.push({ ...range, startLine: start.line, endLine: end.line });
+  }
+
+  return result;
+});
+
+connection.onSelectionRanges(async ({ textDocument, positions }) => {
+  const { uri } = textDocument;
+  const { doc, src, query } = await getUriInfo(uri);
+  const outdated = workspace.isOutdated(new URL(uri).pathname, query.tu);
+
+  /** @type {import("vscode-languageserver/node.js").SelectionRange[]} */
+  const result = [];
+  for (const position of positions) {
+    /** @type {import("vscode-languageserver/node.js").Range[]} */
+    const ranges = [];
+
+    const pos = !outdated && (await documents.toIndexed(uri, position));
+    if (pos) {
+      const loc = await query.loc(src, pos);
+
+      // Start from the smallest node at the position
+      /** @type {import("./query.js").Node | undefined} */
+      let node;
+      /** @type {import("vscode-languageserver/node.js").Range | undefined} */
+      let range;
+      for (const candidate of await query.around(src, pos, loc)) {
+        const candidateRange = await getSelectionRange(candidate, doc, src);
+        if (
+          candidateRange &&
+          containsRange(candidateRange, { start: pos, end: pos }) &&
+          (!range || !containsRange(candidateRange, range))
+        ) {
+          node = candidate;
+          range = candidateRange;
+        }
+      }
+
+      // Grow through the parent chain
+      while (node) {
+        const last = ranges[ranges.length - 1];
+        if (
+          range &&
+          (!last || (containsRange(range, last) && !containsRange(last, range)))
+        )
+          ranges.push(range);
+
+        node = node.parent_number
+          ? await query.node(node.parent_number)
+          : undefined;
+        range = node && (await getSelectionRange(node, doc, src));
+      }
+    }
+
+    // The whole translation unit is the outermost
+    const live = documents.live(uri) || doc;
+
+    /** @type {import("vscode-languageserver/node.js").SelectionRange} */
+    let selectionRange = {
+      range: {
+        start: { line: 0, character: 0 },
+        end: live.positionAt(live.getText().length),
+      },
+    };
+    for (let i = ranges.length - 1; i >= 0; --i) {
+      const live = await documents.rangeToLive(uri, ranges[i]);
+      if (live) selectionRange = { range: live, parent: selectionRange };
+    }
+    if (!ranges.length)
+      selectionRange = {
+        range: { start: position, end: position },
+        parent: selectionRange,
+      };
+
+    result.push(selectionRange);
+  }
+
+  return result;
+});
+
+/**
+ * Whether the token is a literal, i.e. a number, a character or a string.
+ * @param {string} token
+ */
+function isLiteral(token) {
+  return /^(?:\.?\d[\w.]*(?:[eEpP][+-][\w.]*)*|[LuU8]*'(?:[^'\\]|\\.)+'|[LuU8]*"(?:[^"\\]|\\.)*")$/.test(
+    token
+  );
+}
+
+connection.languages.inlayHint.on(async ({ textDocument, range }) => {
+  const { uri } = textDocument;
+  const { doc, src, query } = await getUriInfo(uri);
+  if (workspace.isOutdated(new URL(uri).pathname, query.tu)) return [];
+
+  // Fall back to the whole document if the range bounds have been edited
+  const indexedRange = (await documents.rangeToIndexed(uri, range)) || {
+    start: { line: 0, character: 0 },
+    end: { line: doc.lineCount, character: 0 },
+  };
+
+  /** @type {import("vscode-languageserver/node.js").InlayHint[]} */
+  const hints = [];
+
+  if (inlayHints.parameterNames) {
+    for (const call of await query.calls(src, indexedRange)) {
+      const callee = await query.node(call.callee);
+      if (!callee) continue;
+
+      const params = (await query.children(callee.number)).filter(
+        (node) => node.kind === "ParmVarDecl"
+      );
+      const args = (await query.children(call.number)).slice(1);
+      for (let i = 0, n = Math.min(params.length, args.length); i < n; ++i) {
+        const { name } = params[i];
+        const arg = args[i];
+        if (!name || arg.begin_src !== src) continue;
+
+        // The argument speaks for itself if its whole source text is the name
+        const { range } = getRanges(arg, doc);
+        if (doc.getText(range) === name) continue;
+
+        hints.push({
+          position: range.start,
+          label: `${name}:`,
+          kind: InlayHintKind.Parameter,
+          paddingRight: true,
+        });
+      }
+    }
+  }
+
+  if (inlayHints.deducedTypes) {
+    for (const node of await query.typedefed(src, indexedRange)) {
+      hints.push({
+        position: getRanges(node, doc).selectionRange.end,
+        label: `: ${node.desugared_type}`,
+        kind: InlayHintKind.Type,
+        paddingLeft: true,
+      });
+    }
+  }
+
+  if (inlayHints.macroValues) {
+    for (const node of await query.substitutions(src, indexedRange)) {
+      if (!isLiteral(node.value)) continue;
+
+      hints.push({
+        position: getRanges(node, doc).selectionRange.end,
+        label: `= ${node.value}`,
+        paddingLeft: true,
+      });
+    }
+  }
+
+  /** @type {import("vscode-languageserver/node.js").InlayHint[]} */
+  const result = [];
+  for (const hint of hints) {
+    const position = await documents.toLive(uri, hint.position);
+    if (position && containsRange(range, { start: position, end: position }))
+      result.push({ ...hint, position });
+  }
+  return result.sort((a, b) => comparePosition(a.position, b.position));
+});
+
+connection.onWorkspaceSymbol(async ({ query }) => {
+  if (!workspace.symbolIndex) return null;
+
+  const matches = await workspace.symbolIndex.search(query);
+  /** @type {import("vscode-languageserver/node.js").SymbolInformation[]} */
+  const symbols = [];
+
+  for (const match of matches) {
+    // Enumerators and macros are no document symbols, but are searched for
+    /** @type {any} */
+    const kind =
+      match.kind === "EnumConstantDecl"
+        ? symbolKinds.EnumMember
+        : match.kind === "MacroDecl"
+          ? symbolKinds.Constant
+          : getSymbolKind(/** @type {any} */ (match));
+    if (!kind) continue;
+
+    const uri = "file://" + match.filename;
+    const start = { line: match.row - 1, character: match.col - 1 };
+    const range = await documents.rangeToLive(uri, {
+      start,
+      end: { ...start, character: start.character + match.name.length },
+    });
+    if (!range) continue;
+
+    symbols.push({
+      name: match.name,
+      kind,
+      containerName: path.basename(match.filename),
+      location: { uri, range },
+    });
+  }
+
+  return symbols;
+});
+
+connection.onDefinition(async (param) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    definitionHandler,
+    linkHandler,
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+connection.onDeclaration(async (param) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    definitionHandler,
+    declarationHandler,
+    linkHandler,
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+connection.onTypeDefinition(async (param) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    typeDefinitionHandler,
+    linkHandler,
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+connection.onImplementation(async (param) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    implementationHandler,
+    linkHandler,
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+connection.onReferences(async ({ context, ...param }) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    definitionHandler,
+    declarationHandler,
+    referencesHandler(context),
+    linkHandler,
+    locationHandler,
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+connection.onPrepareRename(async (param) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    definitionHandler,
+    declarationHandler,
+    prepareRenameHandler,
+  ]) {
+    value = await handler(value);
+  }
+  return { range: value.range, placeholder: value.name };
+});
+
+connection.onRenameRequest(async ({ newName, ...param }) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    definitionHandler,
+    declarationHandler,
+    prepareRenameHandler,
+    renameHandler(newName),
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+connection.onHover(async (param) => {
+  let value = /** @type {any} */ (param);
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    hoverHandler,
+    literalHandler,
+    markHandler,
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+/**
+ * The keywords followed by parentheses which are not calls.
+ */
+const parenthesizedKeywords = new Set([
+  "if",
+  "while",
+  "for",
+  "switch",
+  "return",
+  "sizeof",
+  "_Alignof",
+  "alignof",
+  "typeof",
+  "__typeof__",
+  "_Generic",
+  "_Static_assert",
+  "__attribute__",
+  "__asm__",
+  "asm",
+  "defined",
+]);
+
+/**
+ * The number of characters before the position to look for the call in.
+ */
+const CALL_WINDOW = 4096;
+
+/**
+ * Find the innermost call whose arguments contain the position, along with
+ * the index of the argument there.
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {import("vscode-languageserver/node.js").Position} position
+ * @returns {{callee: import("vscode-languageserver/node.js").Position, active: number} | undefined}
+ */
+function getCallSite(doc, position) {
+  const text = doc.getText();
+  const offset = doc.offsetAt(position);
+  const start = text.lastIndexOf("\n", offset - CALL_WINDOW) + 1;
+
+  /** @type {{bracket: string, callee?: {text: string, offset: number}, active: number}[]} */
+  const frames = [];
+  const tokens = constant.tokenize(text.slice(start, offset));
+  for (const [i, token] of tokens.entries()) {
+    switch (token.text) {
+      case "(":
+      case "[":
+      case "{":
+        frames.push({ bracket: token.text, callee: tokens[i - 1], active: 0 });
+        break;
+      case ")":
+      case "]":
+      case "}": {
+        const open = { ")": "(", "]": "[", "}": "{" }[token.text];
+        while (frames.length && frames[frames.length - 1].bracket !== open)
+          frames.pop();
+        frames.pop();
+        break;
+      }
+      case ",":
+        if (frames.length) ++frames[frames.length - 1].active;
+        break;
+      case ";":
+        frames.length = 0;
+        break;
+    }
+  }
+
+  // Skip the grouping parentheses and casts within the arguments
+  for (let i = frames.length - 1; i >= 0; --i) {
+    const { bracket, callee, active } = frames[i];
+    if (bracket !== "(") return;
+    if (!callee || !/^[A-Za-z_]/.test(callee.text)) continue;
+    if (parenthesizedKeywords.has(callee.text)) return;
+
+    return { callee: doc.positionAt(start + callee.offset), active };
+  }
+}
+
+/**
+ * Get the signature of the function-like macro from its definition.
+ * @param {import("./query.js").Node} decl
+ * @returns {Promise<import("vscode-languageserver/node.js").SignatureInformation | undefined>}
+ */
+async function getMacroSignature(decl) {
+  const filename = await workspace.filename(decl).catch(() => undefined);
+  if (!filename || filename.startsWith("<")) return;
+
+  const doc = await getDocument("file://" + filename).catch(() => undefined);
+  if (!doc) return;
+
+  // Function-like macros have no spaces between their names and parameters
+  const text = doc.getText();
+  const offset = doc.offsetAt(getRanges(decl, doc).selectionRange.end);
+  const close = text.indexOf(")", offset);
+  if (text[offset] !== "(" || close < 0) return;
+
+  const names = text
+    .slice(offset + 1, close)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  /** @type {import("vscode-languageserver/node.js").ParameterInformation[]} */
+  const parameters = [];
+  let label = `${decl.name}(`;
+  for (const [i, name] of names.entries()) {
+    if (i) label += ", ";
+    parameters.push({ label: [label.length, label.length + name.length] });
+    label += name;
+  }
+  return { label: `${label})`, parameters };
+}
+
+/**
+ * Get the signature of the function, or of the function a pointer points
+ * to, whose parameters are named by the declarations or their typedefs.
+ * @param {import("./query.js").Node} decl
+ * @returns {Promise<import("vscode-languageserver/node.js").SignatureInformation | undefined>}
+ */
+async function getSignature(decl) {
+  if (!decl.name) return;
+  if (decl.kind === "MacroDecl") return getMacroSignature(decl);
+
+  const query = workspace.query(decl.tu);
+  /**
+   * @param {import("./query.js").Node} node
+   */
+  const getParams = async (node) =>
+    (await query.children(node.number)).filter(
+      (child) => child.kind === "ParmVarDecl"
+    );
+
+  let type = decl.qualified_type;
+  let params = await getParams(decl);
+  if (decl.kind !== "FunctionDecl") {
+    const pointed =
+      pointee(decl.qualified_type) || pointee(decl.desugared_type || "");
+    if (!pointed) return;
+
+    type = pointed;
+    if (!params.length && decl.type_ptr) {
+      const typedef = await query.node(decl.type_ptr);
+      if (typedef) params = await getParams(typedef);
+    }
+  }
+
+  const { label, parameters } = functionSignature(type, decl.name, params);
+  const documentation = await getDocumentation(decl);
+
+  return {
+    label,
+    documentation: documentation?.brief
+      ? { kind: "markdown", value: documentation.brief }
+      : undefined,
+    parameters: parameters.map((range, i) => {
+      const text = documentation?.params.find(
+        ({ name }) => name && name === params[i]?.name
+      )?.text;
+      return {
+        label: range,
+        documentation: text ? { kind: "markdown", value: text } : undefined,
+      };
+    }),
+  };
+}
+
+/**
+ *
+ * @param {string} name the callee spelled at the call site
+ * @param {number} active the index of the argument
+ */
+function signatureHelpHandler(name, active) {
+  /**
+   * @param {Value} value
+   * @returns {Promise<import("vscode-languageserver/node.js").SignatureHelp | null>}
+   */
+  return async (value) => {
+    /** @type {import("./query.js").Node[]} */
+    const decls = [];
+    for (const link of value.link || []) {
+      if (link?.[0]) decls.push(link[0]);
+    }
+
+    // Calls being typed are not indexed yet
+    if (!decls.length) {
+      const decl = await value.query.named(name);
+      if (decl) decls.push(decl);
+    }
+
+    /** @type {import("vscode-languageserver/node.js").SignatureInformation[]} */
+    const signatures = [];
+    for (const decl of decls) {
+      const signature = await getSignature(decl);
+      if (signature) signatures.push(signature);
+    }
+    if (!signatures.length) return null;
+
+    const { parameters = [] } = signatures[0];
+    const last = parameters[parameters.length - 1]?.label;
+    const variadic =
+      Array.isArray(last) && signatures[0].label.slice(...last) === "...";
+    return {
+      signatures,
+      activeSignature: 0,
+      activeParameter:
+        variadic && active >= parameters.length
+          ? parameters.length - 1
+          : active,
+    };
+  };
+}
+
+connection.onSignatureHelp(async ({ textDocument, position }) => {
+  const { uri } = textDocument;
+  const doc = documents.live(uri) || (await getDocument(uri));
+  const call = getCallSite(doc, position);
+  if (!call) return null;
+
+  let value = /** @type {any} */ ({ textDocument, position: call.callee });
+  for (const handler of [
+    positionHandler,
+    tokenHandler,
+    definitionHandler,
+    signatureHelpHandler(getIdentifier(doc, call.callee), call.active),
+  ]) {
+    value = await handler(value);
+  }
+  return value;
+});
+
+/**
+ * Find the word being completed before the position, and the base of the
+ * member access if it follows `.` or `->`, e.g. `p` of `p->x` or `a[i].x`.
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {import("vscode-languageserver/node.js").Position} position
+ * @returns {{prefix: string, base?: import("vscode-languageserver/node.js").Position}}
+ */
+function getCompletionContext(doc, position) {
+  const line = doc.getText({
+    start: { line: position.line, character: 0 },
+    end: position,
+  });
+  const [word, accessor, prefix = ""] = /** @type {RegExpMatchArray} */ (
+    line.match(/(?:(\.|->)\s*)?([A-Za-z_]\w*)?$/)
+  );
+  if (!accessor) return { prefix };
+
+  // Skip the subscripts, e.g. `a[i]` of `a[i].x`
+  let end = line.length - word.length;
+  while (line[end - 1] === "]") {
+    let depth = 0;
+    do {
+      const c = line[--end];
+      if (c === "]") ++depth;
+      else if (c === "[") --depth;
+    } while (end > 0 && depth);
+  }
+
+  const base = line.slice(0, end).match(/([A-Za-z_]\w*)\s*$/);
+  if (!base || base.index === undefined) return { prefix };
+  return { prefix, base: { line: position.line, character: base.index } };
+}
+
+/**
+ * Get the record the declaration is typed with, through pointers, arrays and
+ * typedefs, which is the definition if known.
+ * @param {import("./query.js").Node | undefined} decl
+ * @param {import("./query.js").default} query
+ * @returns {Promise<import("./query.js").Node | undefined>}
+ */
+async function getTypeRecord(decl, query) {
+  let node = decl;
+  for (let depth = 0; node && depth < 8; ++depth) {
+    if (node.kind === "RecordDecl") return await query.def(node);
+    if (!node.type_ptr) return;
+    node = await query.node(node.type_ptr);
+  }
+}
+
+/**
+ * Get the fields of the record, where those of anonymous members are lifted.
+ * @param {import("./query.js").Node} record
+ * @param {import("./query.js").default} query
+ * @returns {Promise<import("./query.js").Node[]>}
+ */
+async function getFields(record, query) {
+  /** @type {import("./query.js").Node[]} */
+  const fields = [];
+  for (const child of await query.children(record.number)) {
+    if (child.kind !== "FieldDecl") continue;
+    if (child.name) {
+      fields.push(child);
+      continue;
+    }
+
+    const member = await getTypeRecord(child, query);
+    if (member && member.number !== record.number)
+      fields.push(...(await getFields(member, query)));
+  }
+  return fields;
+}
+
+/**
+ * Translate the live position into the indexed one, which falls back to the
+ * beginning of the nearest intact line above if the position is edited.
+ * @param {string} uri
+ * @param {import("vscode-languageserver/node.js").Position} position
+ * @returns {Promise<import("vscode-languageserver/node.js").Position | null>}
+ */
+async function getIndexedNear(uri, position) {
+  const indexed = await documents.toIndexed(uri, position);
+  if (indexed) return indexed;
+
+  for (let line = position.line - 1; line >= 0; --line) {
+    const near = await documents.toIndexed(uri, { line, character: 0 });
+    if (near) return near;
+  }
+  return null;
+}
+
+/**
+ * The most file scope declarations listed for completions.
+ */
+const MAX_COMPLETED_GLOBALS = 1000;
+
+/**
+ * Find the declarations visible at the position whose names begin with the
+ * prefix, case-insensitively, where locals come first and shadow others, and
+ * whether the file scope ones are cut off by the limit.
+ * @param {Value} value
+ * @param {import("vscode-languageserver/node.js").Position | null} pos the indexed position
+ * @param {string} prefix
+ * @param {number} [limit] the most file scope declarations, unlimited if negative
+ * @returns {Promise<{declarations: import("./query.js").Node[], incomplete: boolean}>}
+ */
+async function getVisibleDeclarations(value, pos, prefix, limit = -1) {
+  const fn = pos && (await value.query.enclosing(value.src, pos));
+  const locals = fn && pos ? await value.query.locals(fn, pos) : [];
+
+  // One more is found to tell whether any are left out
+  const globals = await value.query.globals(
+    prefix,
+    limit < 0 ? limit : limit + 1
+  );
+  const incomplete = limit >= 0 && globals.length > limit;
+  if (incomplete) globals.pop();
+
+  const lower = prefix.toLowerCase();
+  /** @type {Set<string>} */
+  const names = new Set();
+  const declarations = [...locals, ...globals].filter((node) => {
+    const key = `${node.kind === "RecordDecl" ? "struct " : ""}${node.name}`;
+    if (!node.name || names.has(key)) return false;
+    if (!node.name.toLowerCase().startsWith(lower)) return false;
+    names.add(key);
+    return true;
+  });
+  return { declarations, incomplete };
+}
+
+/**
+ *
+ * @param {import("./query.js").Node} node
+ * @param {string} [sortText]
+ * @returns {import("vscode-languageserver/node.js").CompletionItem}
+ */
+function getCompletionItem(node, sortText) {
+  const detail =
+    node.kind === "RecordDecl" ? getRecordHead(node) : node.qualified_type;
+  return {
+    label: node.name || "",
+    kind: getCompletionItemKind(node),
+    detail: detail || undefined,
+    sortText: sortText && `${sortText}${node.name}`,
+    data: { tu: node.tu, number: node.number },
+  };
+}
+
+/**
+ * Find the header name being typed in the include directive before the
+ * position, e.g. `sys/ty` of `#include <sys/ty`.
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {import("vscode-languageserver/node.js").Position} position
+ * @returns {{delimiter: string, start: import("vscode-languageserver/node.js").Position} | undefined}
+ */
+function getIncludeContext(doc, position) {
+  const line = doc.getText({
+    start: { line: position.line, character: 0 },
+    end: position,
+  });
+  const match = line.match(/^\s*#\s*include(?:_next)?\s*([<"])([^>"]*)$/);
+  if (!match) return;
+
+  return {
+    delimiter: match[1],
+    start: {
+      line: position.line,
+      character: line.length - match[2].length,
+    },
+  };
+}
 
-connection.onInitialized(async () => {});
+/**
+ * Get the directories the translation unit found headers in, i.e. the paths
+ * of included files without the names spelled in the directives.
+ * @param {import("./query.js").default} query
+ * @returns {Promise<Set<string>>}
+ */
+async function getIncludeRoots(query) {
+  /** @type {Set<string>} */
+  const roots = new Set();
+  for (const { name, desugared_type } of await query.links()) {
+    if (!name || !desugared_type) continue;
+
+    // The names might be spelled with the delimiters, e.g. `include <stdio.h>`
+    const spelled = name.match(/[<"]([^>"]+)[>"]/)?.[1] || name;
+    if (desugared_type.endsWith(`/${spelled}`))
+      roots.add(desugared_type.slice(0, -spelled.length - 1));
+  }
+  return roots;
+}
 
-connection.onDidChangeConfiguration(async ({ settings }) => {
-  if (Array.isArray(settings)) {
-    for (let i = 0, n = settings.length; i < n; i += 2)
-      switch (settings[i]) {
-        case "languageServerCC.tu":
-          query.tu = settings[i + 1];
-          break;
-      }
+/**
+ * Spell the header as in inclusion directives, where project headers are
+ * quoted relatively to the directory of the includer, and system headers are
+ * bracketed relatively to the include roots.
+ * @param {string} header
+ * @param {string} directory
+ * @param {Iterable<string>} roots
+ * @returns {{name: string, delimiter: "<" | '"'} | undefined}
+ */
+function spellHeader(header, directory, roots) {
+  if (isWorkspaceFile(header))
+    return { name: path.relative(directory, header), delimiter: '"' };
+
+  /** @type {string | undefined} */
+  let name;
+  for (const root of roots) {
+    const relative = path.relative(root, header);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) continue;
+    if (!name || relative.length < name.length) name = relative;
   }
-});
+  return name ? { name, delimiter: "<" } : undefined;
+}
 
-connection.onDocumentLinks(async ({ textDocument }) => {
-  await query.tuPromise;
+/**
+ * The most entries listed of a directory for header name completions.
+ */
+const MAX_LISTED_ENTRIES = 1000;
 
-  const { src } = await getUriInfo(textDocument.uri);
-  const nodes = await query.links(src);
-  /** @type {import("vscode-languageserver/node.js").DocumentLink[]} */
-  const links = [];
+/**
+ * The most directories whose listings are kept.
+ */
+const LISTINGS_CAPACITY = 64;
 
-  for (const node of nodes) {
-    if (!node.name || !node.desugared_type) continue;
+/**
+ * The least recently used listings of directories, i.e. the names of headers
+ * and subdirectories in them.
+ * @type {Map<string, Promise<{name: string, directory: boolean}[]>>}
+ */
+const listings = new Map();
 
-    links.push({
-      range: {
-        start: {
-          line: node.row - 1,
-          character: node.col - 1,
-        },
-        end: {
-          line: node.row,
-          character: 0,
-        },
+/**
+ * List the headers and subdirectories in the directory, up to a bound.
+ * @param {string} directory
+ * @returns {Promise<{name: string, directory: boolean}[]>}
+ */
+function listDirectory(directory) {
+  let listing = listings.get(directory);
+  if (listing) {
+    // Refresh the recency
+    listings.delete(directory);
+  } else {
+    listing = (async () => {
+      const dirents = await fs.promises
+        .readdir(directory, { withFileTypes: true })
+        .catch(() => []);
+
+      /** @type {{name: string, directory: boolean}[]} */
+      const entries = [];
+      for (const dirent of dirents.slice(0, MAX_LISTED_ENTRIES)) {
+        const { name } = dirent;
+        if (name.startsWith(".")) continue;
+
+        let isDirectory = dirent.isDirectory();
+        if (dirent.isSymbolicLink()) {
+          const stats = await fs.promises
+            .stat(path.join(directory, name))
+            .catch(() => undefined);
+          isDirectory = !!stats?.isDirectory();
+        }
+
+        // Standard C++ headers have no extensions
+        if (isDirectory || /\.(?:h|hh|hpp|hxx|inc|def)$|^[^.]+$/i.test(name))
+          entries.push({ name, directory: isDirectory });
+      }
+      return entries;
+    })();
+  }
+
+  listings.set(directory, listing);
+  for (const key of listings.keys()) {
+    if (listings.size <= LISTINGS_CAPACITY) break;
+    listings.delete(key);
+  }
+
+  return listing;
+}
+
+/**
+ * Complete the header names spelled as in inclusion directives.
+ * @param {string} uri
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {import("vscode-languageserver/node.js").Position} position
+ * @param {NonNullable<ReturnType<typeof getIncludeContext>>} include
+ * @returns {Promise<import("vscode-languageserver/node.js").CompletionItem[]>}
+ */
+async function getIncludeCompletions(uri, doc, position, { delimiter, start }) {
+  const { query } = await getUriInfo(uri);
+  const filename = new URL(uri).pathname;
+  const directory = path.dirname(filename);
+  const roots = await getIncludeRoots(query);
+
+  const closing = delimiter === "<" ? ">" : '"';
+  const rest = doc.getText({
+    start: position,
+    end: { line: position.line + 1, character: 0 },
+  });
+  const closed = /^[^\s<>"]*[>"]/.test(rest);
+
+  /** @type {Map<string, import("vscode-languageserver/node.js").CompletionItem>} */
+  const items = new Map();
+  for (const header of new Set(await query.filenames())) {
+    if (header === filename || header.startsWith("<")) continue;
+    if (/\.(?:c|cc|cpp|cxx|m|mm)$/i.test(header)) continue;
+
+    const spelled = spellHeader(header, directory, roots);
+    if (!spelled || spelled.delimiter !== delimiter) continue;
+
+    const { name } = spelled;
+
+    items.set(name, {
+      label: name,
+      kind: CompletionItemKind.File,
+      detail: header,
+      textEdit: {
+        range: { start, end: position },
+        newText: closed ? name : name + closing,
       },
-      target: "file://" + node.desugared_type,
-      tooltip: new mark.Mark([
-        new mark.Emphasis("#" + node.name),
-        mark.space,
-        new mark.Strong(node.desugared_type),
-      ]).toText(),
     });
   }
 
-  return links;
-});
-
-connection.onDocumentSymbol(async ({ textDocument }) => {
-  await query.tuPromise;
+  // Headers not included by the translation unit are found on disk, in the
+  // directory spelled so far of the ones searched by the directive
+  const typed = doc.getText({ start, end: position });
+  const prefix = typed.slice(0, typed.lastIndexOf("/") + 1);
+  // Workspace headers are quoted, relatively to the includer
+  const searched =
+    delimiter === "<"
+      ? [...roots].filter((root) => !isWorkspaceFile(root))
+      : [directory];
+  for (const root of searched) {
+    const parent = path.join(root, prefix);
+    for (const entry of await listDirectory(parent)) {
+      const name = prefix + entry.name;
+      const label = entry.directory ? name + "/" : name;
+      const header = path.join(parent, entry.name);
+      if (items.has(label) || header === filename) continue;
+
+      items.set(
+        label,
+        entry.directory
+          ? {
+              label,
+              kind: CompletionItemKind.Folder,
+              detail: header,
+              textEdit: { range: { start, end: position }, newText: label },
+              // Continue with the entries of the subdirectory
+              command: {
+                title: "",
+                command: "editor.action.triggerSuggest",
+              },
+            }
+          : {
+              label,
+              kind: CompletionItemKind.File,
+              detail: header,
+              textEdit: {
+                range: { start, end: position },
+                newText: closed ? name : name + closing,
+              },
+            }
+      );
+    }
+  }
+  return [...items.values()];
+}
 
-  const { doc, src } = await getUriInfo(textDocument.uri);
-  const nodes = await query.symbols(src);
-  /** @type {import("vscode-languageserver/node.js").DocumentSymbol[]} */
-  const symbols = [];
+connection.onCompletion(async ({ textDocument, position, context }) => {
+  const { uri } = textDocument;
+  const doc = documents.live(uri) || (await getDocument(uri));
 
-  for (const node of nodes) {
-    /** @type {any} */
-    const kind = getSymbolKind(node);
-    if (!kind || !node.name || !node.row) continue;
+  const include = getIncludeContext(doc, position);
+  if (include) return getIncludeCompletions(uri, doc, position, include);
 
-    const ranges = getRanges(node, doc);
-    symbols.push({ name: node.name, kind, ...ranges });
-  }
+  const { prefix, base } = getCompletionContext(doc, position);
 
-  return symbols;
-});
+  // `>` triggers only the members of pointers to records
+  if (context?.triggerCharacter === ">" && !base) return null;
 
-connection.onDefinition(async (param) => {
-  await query.tuPromise;
+  const info = await getUriInfo(uri);
+  const value = /** @type {Value} */ ({
+    ...info,
+    uri,
+    pos: position,
+    loc: null,
+    token: undefined,
+  });
+  const pos = await getIndexedNear(uri, base || position);
 
-  let value = /** @type {any} */ (param);
-  for (const handler of [
-    positionHandler,
-    tokenHandler,
-    definitionHandler,
-    linkHandler,
-  ]) {
-    value = await handler(value);
-  }
-  return value;
-});
+  if (base) {
+    const name = getIdentifier(doc, base);
 
-connection.onDeclaration(async (param) => {
-  await query.tuPromise;
+    const resolved = await tokenHandler(
+      await positionHandler({ textDocument, position: base })
+    );
 
-  let value = /** @type {any} */ (param);
-  for (const handler of [
-    positionHandler,
-    tokenHandler,
-    definitionHandler,
-    declarationHandler,
-    linkHandler,
-  ]) {
-    value = await handler(value);
-  }
-  return value;
-});
+    // The base being typed is looked up by its name instead
+    const decl =
+      resolved.decl?.find((node) => node?.name === name) ||
+      (await getVisibleDeclarations(value, pos, name)).declarations.find(
+        (node) => node.name === name
+      );
 
-connection.onTypeDefinition(async (param) => {
-  await query.tuPromise;
+    const record = await getTypeRecord(decl, value.query);
+    if (!record) return null;
 
-  let value = /** @type {any} */ (param);
-  for (const handler of [
-    positionHandler,
-    tokenHandler,
-    typeDefinitionHandler,
-    linkHandler,
-  ]) {
-    value = await handler(value);
+    return (await getFields(record, value.query)).map((field) =>
+      getCompletionItem(field)
+    );
   }
-  return value;
-});
 
-connection.onReferences(async ({ context, ...param }) => {
-  await query.tuPromise;
+  if (!prefix && context?.triggerCharacter) return null;
 
-  let value = /** @type {any} */ (param);
-  for (const handler of [
-    positionHandler,
-    tokenHandler,
-    definitionHandler,
-    declarationHandler,
-    referencesHandler(context),
-    linkHandler,
-    locationHandler,
-  ]) {
-    value = await handler(value);
-  }
-  return value;
+  // The client filters the names beginning with the same letter by itself,
+  // unless they are too many, which are narrowed by the prefix as typed
+  const fn = pos && (await value.query.enclosing(value.src, pos));
+  let visible = await getVisibleDeclarations(
+    value,
+    pos,
+    prefix.charAt(0),
+    MAX_COMPLETED_GLOBALS
+  );
+  if (visible.incomplete && prefix.length > 1)
+    visible = await getVisibleDeclarations(
+      value,
+      pos,
+      prefix,
+      MAX_COMPLETED_GLOBALS
+    );
+
+  const items = visible.declarations.map((node) =>
+    getCompletionItem(
+      node,
+      fn && node.number > fn.number && node.number <= fn.final_number
+        ? "0"
+        : "1"
+    )
+  );
+  return visible.incomplete ? { isIncomplete: true, items } : items;
 });
 
-connection.onHover(async (param) => {
-  await query.tuPromise;
+connection.onCompletionResolve(async (item) => {
+  const { tu, number } = item.data || {};
+  if (!tu || !workspace.translationUnits.includes(tu)) return item;
 
-  let value = /** @type {any} */ (param);
-  for (const handler of [
-    positionHandler,
-    tokenHandler,
-    hoverHandler,
-    markHandler,
-  ]) {
-    value = await handler(value);
-  }
-  return value;
+  const query = workspace.query(tu);
+  const node = await query.node(number);
+  if (!node) return item;
+
+  const value = await hoverHandler(
+    /** @type {Value} */ ({ query, src: -1, decl: [node] }),
+    { noProvider: true }
+  );
+  if (value.mark)
+    item.documentation = { kind: "markdown", value: value.mark.toText() };
+  return item;
 });
 
 connection.onDocumentHighlight(async (param) => {
-  await query.tuPromise;
-
   let value = /** @type {any} */ (param);
   for (const handler of [
     positionHandler,
@@ -859,28 +4166,47 @@ connection.onDocumentHighlight(async (param) => {
 });
 
 /**
- * @param {import("vscode-languageserver/node.js").SemanticTokensParams & {range?: import("vscode-languageserver/node.js").Range}} param0
- * @returns {Promise<import("vscode-languageserver/node.js").SemanticTokens | null>}
+ * Compute the semantic token items of the whole indexed document.
+ * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+ * @param {number} src
+ * @param {import("./query.js").default} query
+ * @returns {Promise<SemanticTokenItem[]>}
  */
-async function onTextDocumentSemanticTokens({ textDocument, range }) {
-  await query.tuPromise;
-
-  const { doc, src } = await getUriInfo(textDocument.uri);
-  const semanticRanges = await query.semantics(src, range);
+async function getSemanticTokenItems(doc, src, query) {
+  /** @type {SemanticTokenItem[]} */
+  const items = [];
 
   /**
-   * @typedef {{
-   *   line: number,
-   *   character: number,
-   *   length: number,
-   *   tokenType: number,
-   *   tokenModifier: number,
-   * }} SemanticTokenItem
+   * The spelled ranges of each line, which take precedence over the ranges of
+   * macro expansions and inactive regions.
+   * @type {Map<number, [number, number][]>}
    */
+  const spelled = new Map();
 
-  /** @typedef {SemanticTokenItem[]} */
-  const items = [];
+  for (const spelling of await query.spellings(src)) {
+    const tokenType = getSpellingType(spelling);
+    if (tokenType === undefined) continue;
 
+    const line = spelling.begin_row - 1;
+    const character = spelling.begin_col - 1;
+    const length = spelling.name.length;
+
+    const ranges = spelled.get(line);
+    if (ranges?.some(([begin]) => begin === character)) continue;
+
+    if (ranges) ranges.push([character, character + length]);
+    else spelled.set(line, [[character, character + length]]);
+
+    items.push({
+      line,
+      character,
+      length,
+      tokenType,
+      tokenModifier: getSpellingModifier(spelling),
+    });
+  }
+
+  const semanticRanges = await query.semantics(src);
   for (const value of semanticRanges) {
     let { begin_row, begin_col, end_row, end_col, semantics } = value;
     const [tokenType, tokenModifier] = getTokenSemantics(semantics);
@@ -896,8 +4222,6 @@ async function onTextDocumentSemanticTokens({ textDocument, range }) {
         length: 0,
       };
 
-      items.push(item);
-
       if (begin_row == end_row) {
         item.length = end_col - begin_col;
       } else {
@@ -908,69 +4232,127 @@ async function onTextDocumentSemanticTokens({ textDocument, range }) {
         offset = nextOffset;
       }
 
+      items.push(...split(item, spelled.get(item.line) || []));
+
       begin_row += 1;
       begin_col = 1;
     } while (begin_row <= end_row);
   }
 
-  return {
-    data: items
-      .sort((a, b) => {
-        const d = a.line - b.line;
-        return d == 0 ? a.character - b.character : d;
-      })
-      .flatMap((item, i, items) => {
-        if (i == 0)
-          return [
-            item.line,
-            item.character,
-            item.length,
-            item.tokenType,
-            item.tokenModifier,
-          ];
-
-        if (item.line == items[i - 1].line) {
-          return [
-            0,
-            item.character - items[i - 1].character,
-            item.length,
-            item.tokenType,
-            item.tokenModifier,
-          ];
-        }
+  return items
+    .filter((item) => item.length > 0)
+    .sort((a, b) => {
+      const d = a.line - b.line;
+      return d == 0 ? a.character - b.character : d;
+    });
+}
 
-        return [
-          item.line - items[i - 1].line,
-          item.character,
-          item.length,
-          item.tokenType,
-          item.tokenModifier,
-        ];
-      }),
-  };
+/**
+ * Get the encoded semantic tokens of the live document.
+ * @param {string} uri
+ * @param {import("vscode-languageserver/node.js").Range} [range]
+ * @returns {Promise<number[]>}
+ */
+async function getSemanticTokens(uri, range) {
+  const { doc, src, query } = await getUriInfo(uri);
+
+  // Semantic ranges cannot be verified against an outdated file
+  if (workspace.isOutdated(new URL(uri).pathname, query.tu)) return [];
+
+  let items = await semanticTokens.items(uri, query.tu, doc, () =>
+    getSemanticTokenItems(doc, src, query)
+  );
+
+  // Fall back to the whole document if the range bounds have been edited
+  const indexedRange = range && (await documents.rangeToIndexed(uri, range));
+  if (indexedRange) {
+    const { start, end } = indexedRange;
+    items = items.filter(
+      (item) =>
+        (item.line > start.line ||
+          (item.line === start.line && item.character >= start.character)) &&
+        (item.line < end.line ||
+          (item.line === end.line &&
+            item.character + item.length <= end.character))
+    );
+  }
+
+  // Translate the items into the live document and drop the edited ones
+  const map = await documents.map(uri);
+  if (map) {
+    /** @type {SemanticTokenItem[]} */
+    const live = [];
+    for (const item of items) {
+      const start = map.toNew(item);
+      const end = map.toNew({
+        line: item.line,
+        character: item.character + item.length,
+      });
+
+      if (
+        start &&
+        end &&
+        start.line === end.line &&
+        end.character > start.character
+      )
+        live.push({
+          ...item,
+          line: start.line,
+          character: start.character,
+          length: end.character - start.character,
+        });
+    }
+    items = live;
+  }
+
+  return encode(items);
 }
 
 connection.onRequest(
   "textDocument/semanticTokens/full",
-  onTextDocumentSemanticTokens
+  /**
+   * @param {import("vscode-languageserver/node.js").SemanticTokensParams} param0
+   */
+  async ({ textDocument }) =>
+    semanticTokens.result(
+      textDocument.uri,
+      await getSemanticTokens(textDocument.uri)
+    )
+);
+
+connection.onRequest(
+  "textDocument/semanticTokens/full/delta",
+  /**
+   * @param {import("vscode-languageserver/node.js").SemanticTokensDeltaParams} param0
+   */
+  async ({ textDocument, previousResultId }) =>
+    semanticTokens.delta(
+      textDocument.uri,
+      previousResultId,
+      await getSemanticTokens(textDocument.uri)
+    )
 );
 
 connection.onRequest(
   "textDocument/semanticTokens/range",
-  onTextDocumentSemanticTokens
+  /**
+   * @param {import("vscode-languageserver/node.js").SemanticTokensRangeParams} param0
+   */
+  async ({ textDocument, range }) => ({
+    data: await getSemanticTokens(textDocument.uri, range),
+  })
 );
 
 /**
  *
- * @param {import("vscode-languageserver/node.js").CallHierarchyPrepareParams} param0
  */
-function prepareCallHierarchyHandler({ textDocument }) {
+function prepareCallHierarchyHandler() {
   /**
    *
    * @param {Value} value
-   * @returns {import("vscode-languageserver/node.js").CallHierarchyItem[] | null}
+   * @returns {Promise<import("vscode-languageserver/node.js").CallHierarchyItem[] | null>}
    */
-  return ({ doc, link, decl }) => {
+  return async ({ query, link, decl }) => {
     if (!link || !decl) return null;
 
     /** @type {import("vscode-languageserver/node.js").CallHierarchyItem[]} */
@@ -984,13 +4366,17 @@ function prepareCallHierarchyHandler({ textDocument }) {
       const kind = getSymbolKind(node);
       if (!kind) continue;
 
+      const target = await getLink(node);
+      if (!target) continue;
+
       items.push({
         kind,
         name: node.name,
-        detail: node.qualified_type,
-        uri: textDocument.uri,
+        detail: getDetail(node, query.tu),
+        uri: target.uri,
+        range: target.range,
+        selectionRange: target.selectionRange,
         data: link[i],
-        ...getRanges(node, doc),
       });
     }
 
@@ -1004,15 +4390,13 @@ function prepareCallHierarchyHandler({ textDocument }) {
  * @returns {Promise<import("vscode-languageserver/node.js").CallHierarchyItem[] | null>}
  */
 async function onPrepareCallHierarchy(param) {
-  await query.tuPromise;
-
   let value = /** @type {any} */ (param);
   for (const handler of [
     positionHandler,
     tokenHandler,
     definitionHandler,
     declarationHandler,
-    prepareCallHierarchyHandler(param),
+    prepareCallHierarchyHandler(),
   ]) {
     value = await handler(value);
   }
@@ -1025,24 +4409,22 @@ async function onPrepareCallHierarchy(param) {
  * @returns {Promise<import("vscode-languageserver/node.js").CallHierarchyIncomingCall[] | null>}
  */
 async function onIncomingCalls({ item }) {
-  await query.tuPromise;
-
   if (!item.data) return null;
 
   /** @type {import("./query.js").Node[]} */
   const declarations = item.data;
-  const refs = await query.refs(declarations.map((x) => x.ptr));
+  const refs = await workspace.refs(declarations);
 
   /** @type {Record<string, import("./query.js").Node[]>} */
   const group = {};
   for (const node of refs) {
-    const from = await query.caller(node.number);
+    const from = await workspace.caller(node);
     if (!from) continue;
 
-    const ptr = from.ptr;
-    if (!group[ptr]) group[ptr] = [from];
+    const key = `${from.tu}:${from.ptr}`;
+    if (!group[key]) group[key] = [from];
 
-    group[ptr].push(node);
+    group[key].push(node);
   }
 
   /** @type {import("vscode-languageserver/node.js").CallHierarchyIncomingCall[]} */
@@ -1060,7 +4442,7 @@ async function onIncomingCalls({ item }) {
     const fromRanges = [];
     for (const node of nodes) {
       if (node.exp_row) {
-        const range = await query.exp(node);
+        const range = await workspace.exp(node);
         if (range)
           fromRanges.push({
             start: {
@@ -1078,13 +4460,13 @@ async function onIncomingCalls({ item }) {
       from: {
         kind,
         name: from.name,
-        detail: from.qualified_type,
+        detail: getDetail(from, declarations[0].tu),
         uri: link.uri,
         range: link.range,
         selectionRange: link.selectionRange,
-        data: [from, ...(await query.decl(from))],
+        data: [from, ...(await workspace.decl(from))],
       },
-      fromRanges,
+      fromRanges: await documents.rangesToLive(link.uri, fromRanges),
     });
   }
 
@@ -1097,8 +4479,6 @@ async function onIncomingCalls({ item }) {
  * @returns {Promise<import("vscode-languageserver/node.js").CallHierarchyOutgoingCall[] | null>}
  */
 async function onOutgoingCalls({ item }) {
-  await query.tuPromise;
-
   if (!item.data) return null;
 
   /** @type {import("./query.js").Node} */
@@ -1107,20 +4487,20 @@ async function onOutgoingCalls({ item }) {
   if (!uri) return null;
 
   const doc = await getDocument(uri);
-  const callees = await query.callees(definition);
+  const callees = await workspace.callees(definition);
 
   /** @type {Record<string, [import("./query.js").Node, ...import("vscode-languageserver/node.js").Range[]]>} */
   const group = {};
   for (const node of callees) {
-    const to = await query.def(node);
+    const to = await workspace.def(node);
     if (!to) continue;
 
-    const ptr = to.ptr;
-    if (!group[ptr]) group[ptr] = [to];
+    const key = `${to.tu}:${to.ptr}`;
+    if (!group[key]) group[key] = [to];
 
-    const fromRanges = group[ptr];
+    const fromRanges = group[key];
     if (node.exp_row) {
-      const range = await query.exp(node);
+      const range = await workspace.exp(node);
       if (range)
         fromRanges.push({
           start: { line: range.begin_row - 1, character: range.begin_col - 1 },
@@ -1146,13 +4526,13 @@ async function onOutgoingCalls({ item }) {
       to: {
         kind,
         name: to.name,
-        detail: to.qualified_type,
+        detail: getDetail(to, definition.tu),
         uri: link.uri,
         range: link.range,
         selectionRange: link.selectionRange,
         data: [to],
       },
-      fromRanges,
+      fromRanges: await documents.rangesToLive(uri, fromRanges),
     });
   }
 
@@ -1168,5 +4548,147 @@ connection.onRequest("callHierarchy/incomingCalls", onIncomingCalls);
 
 connection.onRequest("callHierarchy/outgoingCalls", onOutgoingCalls);
 
+/**
+ * The kinds of top-level declarations having code lenses.
+ */
+const CODE_LENS_KINDS = ["FunctionDecl", "VarDecl", "MacroDecl"];
+
+/**
+ * @param {number} count
+ * @param {string} noun
+ */
+function getCount(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Find the references of the entity across translation units, keeping one of
+ * those at the same location of a file seen by several translation units.
+ * @param {import("./query.js").Node} node
+ * @returns {Promise<import("./query.js").Node[]>}
+ */
+async function getUsages(node) {
+  const refs = await workspace.refs(await workspace.counterparts([node]));
+
+  /** @type {import("./query.js").Node[]} */
+  const result = [];
+
+  /** @type {Set<string>} */
+  const seen = new Set();
+  for (const ref of refs) {
+    const key = `${await workspace.filename(ref)}:${ref.begin_row}:${ref.begin_col}`;
+    if (seen.has(key)) continue;
+
+    seen.add(key);
+    result.push(ref);
+  }
+  return result;
+}
+
+/**
+ * Count the functions calling or otherwise referring to the references, as
+ * grouped by the incoming calls of the call hierarchy.
+ * @param {import("./query.js").Node[]} refs
+ */
+async function getCallerCount(refs) {
+  /** @type {Set<string>} */
+  const callers = new Set();
+  for (const ref of refs) {
+    const from = await workspace.caller(ref);
+    if (from) callers.add(`${from.tu}:${from.ptr}`);
+  }
+  return callers.size;
+}
+
+/**
+ * Count the references writing to the variable, the others of which read it.
+ * @param {import("./query.js").Node[]} refs
+ */
+async function getWriteCount(refs) {
+  /** @type {Map<string, number[]>} */
+  const groups = new Map();
+  for (const ref of refs) {
+    const group = groups.get(ref.tu);
+    if (group) group.push(ref.number);
+    else groups.set(ref.tu, [ref.number]);
+  }
+
+  let count = 0;
+  for (const [tu, numbers] of groups)
+    count += (await workspace.query(tu).writes(numbers)).length;
+  return count;
+}
+
+connection.onCodeLens(async ({ textDocument }) => {
+  const { doc, src, query } = await getUriInfo(textDocument.uri);
+
+  /** @type {import("vscode-languageserver/node.js").CodeLens[]} */
+  const lenses = [];
+  for (const node of await query.symbols(src)) {
+    if (!CODE_LENS_KINDS.includes(node.kind) || !node.name || !node.row)
+      continue;
+
+    const { selectionRange } = getRanges(node, doc);
+    if (!isIntact(node, doc, selectionRange)) continue;
+
+    const range = await documents.rangeToLive(textDocument.uri, selectionRange);
+
+    // The counts are resolved only for the lenses being shown
+    if (range)
+      lenses.push({
+        range,
+        data: { uri: textDocument.uri, tu: query.tu, number: node.number },
+      });
+  }
+
+  return lenses;
+});
+
+connection.onCodeLensResolve(async (lens) => {
+  /** @type {{uri: string, tu: string, number: number}} */
+  const { uri, tu, number } = lens.data;
+  const args = [uri, lens.range.start];
+
+  /** @type {import("./query.js").Node | undefined} */
+  const node = await workspace
+    .query(tu)
+    .node(number)
+    .catch(() => undefined);
+
+  // The translation unit might have been indexed again since
+  if (!node || !CODE_LENS_KINDS.includes(node.kind)) {
+    lens.command = { title: "", command: "" };
+    return lens;
+  }
+
+  if (node.kind === "MacroDecl") {
+    const count = await workspace.query(tu).expansionCount(node);
+    lens.command = {
+      title: `expanded ${getCount(count, "time")} in this TU`,
+      command: "languageServerCC.showReferences",
+      arguments: args,
+    };
+    return lens;
+  }
+
+  const refs = await getUsages(node);
+  if (node.kind === "FunctionDecl") {
+    const callers = await getCallerCount(refs);
+    lens.command = {
+      title: `${getCount(refs.length, "reference")} \u00b7 ${getCount(callers, "caller")}`,
+      command: "languageServerCC.showIncomingCalls",
+      arguments: args,
+    };
+  } else {
+    const writes = await getWriteCount(refs);
+    lens.command = {
+      title: `${getCount(refs.length - writes, "read")} / ${getCount(writes, "write")}`,
+      command: "languageServerCC.showReferences",
+      arguments: args,
+    };
+  }
+  return lens;
+});
+
 // Listen on the connection
 connection.listen();
@@ -113,6 +113,16 @@ export class CodeBlock extends Mark {
   }
 }
 
+export class Lines extends Mark {
+  /**
+   *
+   * @param {(string | Mark)[]} lines
+   */
+  constructor(lines) {
+    super(lines.flatMap((line, i) => (i ? [lineEnding, line] : [line])));
+  }
+}
+
 export class BulletListItem extends Mark {
   /**
    *
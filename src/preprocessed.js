@@ -0,0 +1,175 @@
+// @ts-check
+
+/**
+ * The mapping from a range of the preprocessed text back to the source, where
+ * `expansion` is the macro invocation the text results from.
+ * @typedef {{
+ *   range: import("vscode-languageserver/node.js").Range,
+ *   uri: string,
+ *   position: import("vscode-languageserver/node.js").Position,
+ *   expansion?: import("vscode-languageserver/node.js").Range,
+ * }} Mapping
+ */
+
+/**
+ * The directives continuing over escaped newlines, and the literals, which
+ * may contain what looks like comments.
+ */
+const DIRECTIVE = /#(?:[^\n\\]|\\[\s\S])*/y;
+const LITERAL = /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?/y;
+
+/**
+ * Blank the comments and the preprocessing directives of the source, keeping
+ * its length and lines so that offsets into it still refer to the source.
+ * @param {string} text
+ * @returns {string}
+ */
+export function strip(text) {
+  /**
+   * @param {RegExp} pattern
+   * @param {number} i
+   */
+  const match = (pattern, i) => {
+    pattern.lastIndex = i;
+    return pattern.test(text) ? pattern.lastIndex : i + 1;
+  };
+
+  let result = "";
+  let lineStart = true;
+  let i = 0;
+  while (i < text.length) {
+    let end = i + 1;
+    let skipped = true;
+
+    if (lineStart && text[i] === "#") {
+      end = match(DIRECTIVE, i);
+    } else if (text.startsWith("/*", i)) {
+      const close = text.indexOf("*/", i + 2);
+      end = close < 0 ? text.length : close + 2;
+    } else if (text.startsWith("//", i)) {
+      const newline = text.indexOf("\n", i);
+      end = newline < 0 ? text.length : newline;
+    } else {
+      if (text[i] === '"' || text[i] === "'") end = match(LITERAL, i);
+      skipped = false;
+    }
+
+    const chunk = text.slice(i, end);
+    result += skipped ? chunk.replace(/[^\n]/g, " ") : chunk;
+
+    // Directives begin with the first tokens of lines
+    if (chunk.includes("\n")) lineStart = true;
+    else if (!skipped && /\S/.test(chunk)) lineStart = false;
+    i = end;
+  }
+  return result;
+}
+
+/**
+ * Find how the header guards itself against multiple inclusion, i.e. by
+ * `#pragma once`, or by `#ifndef` and `#define` of the same macro around the
+ * whole file.
+ * @param {string} text
+ * @returns {"pragma once" | "header guard" | undefined}
+ */
+export function guard(text) {
+  const code = text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, " ");
+  if (/^[ \t]*#[ \t]*pragma[ \t]+once\b/m.test(code)) return "pragma once";
+
+  const match = code.match(
+    /^\s*#[ \t]*(?:ifndef[ \t]+(\w+)|if[ \t]+!\s*defined\s*\(?\s*(\w+)\s*\)?)\s*#[ \t]*define[ \t]+(\w+)/
+  );
+  if (
+    match &&
+    (match[1] || match[2]) === match[3] &&
+    /#[ \t]*endif\b[^\n]*\s*$/.test(code)
+  )
+    return "header guard";
+}
+
+/**
+ * The preprocessed text being built, along with its mappings to the source.
+ */
+export default class Output {
+  text = "";
+
+  /** @type {Mapping[]} */
+  mappings = [];
+
+  #line = 0;
+
+  #character = 0;
+
+  /**
+   * Append the text of the source, which begins at the position.
+   * @param {string} text
+   * @param {string} uri
+   * @param {import("vscode-languageserver/node.js").Position} position
+   */
+  copy(text, uri, position) {
+    for (const [i, line] of text.split("\n").entries()) {
+      if (i) this.#newLine();
+
+      // Map the lines without their indentations and blanks
+      const begin = line.search(/\S/);
+      if (begin >= 0) {
+        const end = line.trimEnd().length;
+        this.mappings.push({
+          range: {
+            start: { line: this.#line, character: this.#character + begin },
+            end: { line: this.#line, character: this.#character + end },
+          },
+          uri,
+          position: {
+            line: position.line + i,
+            character: (i ? 0 : position.character) + begin,
+          },
+        });
+      }
+
+      this.text += line;
+      this.#character += line.length;
+    }
+  }
+
+  /**
+   * Append the text the macro invocation expands to.
+   * @param {string} text
+   * @param {string} uri
+   * @param {import("vscode-languageserver/node.js").Range} range the invocation
+   */
+  expand(text, uri, range) {
+    this.mappings.push({
+      range: {
+        start: { line: this.#line, character: this.#character },
+        end: { line: this.#line, character: this.#character + text.length },
+      },
+      uri,
+      position: range.start,
+      expansion: range,
+    });
+
+    this.text += text;
+    this.#character += text.length;
+  }
+
+  /**
+   * Append the line marker, e.g. `# 1 "foo.h" 1`, which tells the line of the
+   * file the following lines begin at, where the flag 1 means entering an
+   * included file and 2 returning from it.
+   * @param {number} line
+   * @param {string} filename
+   * @param {1 | 2} [flag]
+   */
+  mark(line, filename, flag) {
+    if (this.#character) this.#newLine();
+    this.text += `# ${line} ${JSON.stringify(filename)}${flag ? ` ${flag}` : ""}`;
+    this.#newLine();
+  }
+
+  #newLine() {
+    this.text += "\n";
+    ++this.#line;
+    this.#character = 0;
+  }
+}
@@ -49,9 +49,45 @@ import sqlite3 from "sqlite3";
  *   src: number,
  *   row: number,
  *   col: number,
+ *   tu: string,
  * }} Node
  */
 
+/**
+ * @typedef {{
+ *   begin_row: number,
+ *   begin_col: number,
+ *   kind: string,
+ *   name: string,
+ *   class: number,
+ *   specs: number,
+ *   parent_number: number,
+ *   declaration: number,
+ *   body: number,
+ * }} Spelling
+ */
+
+/**
+ * The condition of a function reference `ref` within the subtree after the
+ * node `$scope`, which is not called but assigned as a value.
+ */
+const ASSIGNED_FUNCTION =
+  "ref.kind = 'DeclRefExpr' AND ref.ref_kind = 'Function' AND NOT EXISTS (SELECT 1 FROM ast AS call WHERE call.kind = 'CallExpr' AND call.number > $scope AND call.number < ref.number AND ref.number <= call.final_number)";
+
+/**
+ * The most numbers bound in a single query, below the limit of variables.
+ */
+const MAX_BOUND = 500;
+
+/**
+ * Select the expressions `lvalue` of the references up through parentheses and
+ * `*&`, e.g. `(x)` and `*&x`, which are written as `x` is.
+ * @param {number} n the number of the references bound
+ */
+function lvalues(n) {
+  return `WITH RECURSIVE lvalue(ref, number, parent) AS (SELECT number, number, parent_number FROM ast WHERE number IN (${Array(n).fill("?")}) UNION ALL SELECT lvalue.ref, COALESCE(deref.number, up.number), COALESCE(deref.parent_number, up.parent_number) FROM lvalue JOIN ast AS up ON up.number = lvalue.parent LEFT JOIN ast AS deref ON up.kind = 'UnaryOperator' AND up.name = '&' AND deref.number = up.parent_number AND deref.kind = 'UnaryOperator' AND deref.name = '*' WHERE up.kind = 'ParenExpr' OR deref.number IS NOT NULL)`;
+}
+
 export const SEMANTIC_EXPANSION = 0;
 export const SEMANTIC_INACTIVE = 1;
 
@@ -69,11 +105,15 @@ export default class Query {
   /** @type {((tu: string) => void) | undefined} */
   #tuResolve;
 
-  /** @type {Map<string, import("sqlite3").Database>} */
-  #allDatabases = new Map();
+  /** @type {import("sqlite3").Database | undefined} */
+  #db;
 
-  /** @type {import("sqlite3").Database} */
-  db;
+  /**
+   * Called whenever the database is used, e.g. to close the least recently
+   * used ones.
+   * @type {((query: Query) => void) | undefined}
+   */
+  onUse;
 
   constructor() {
     this.#tuPromise = new Promise((resolve) => {
@@ -86,13 +126,7 @@ export default class Query {
    */
   set tu(path) {
     if (path !== this.#tu) {
-      let db = this.#allDatabases.get(path);
-      if (!db) {
-        db = new sqlite3.Database(path);
-        this.#allDatabases.set(path, db);
-      }
-
-      this.db = db;
+      this.close();
       this.#tu = path;
 
       if (this.#tuResolve) {
@@ -112,6 +146,76 @@ export default class Query {
     return this.#tuPromise;
   }
 
+  /**
+   * The database of the translation unit, which is opened on demand, e.g.
+   * again after closed.
+   * @returns {import("sqlite3").Database}
+   */
+  get db() {
+    // Errors of opening, e.g. of a removed file, fail the queries instead
+    this.#db ||= new sqlite3.Database(
+      this.#tu,
+      sqlite3.OPEN_READONLY,
+      () => {}
+    );
+    this.onUse?.(this);
+    return this.#db;
+  }
+
+  /**
+   * Close the database, after the pending queries, until it is used again.
+   */
+  close() {
+    this.#db?.close();
+    this.#db = undefined;
+  }
+
+  /**
+   * Tag the row with the translation unit it comes from, so that nodes can be
+   * passed around across translation units.
+   * @param {any} row
+   */
+  #tag(row) {
+    if (row) row.tu = this.#tu;
+    return row;
+  }
+
+  /**
+   *
+   * @param {string} sql
+   * @param {any} params
+   * @returns {Promise<any>}
+   */
+  #get(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.#tag(row));
+        }
+      });
+    });
+  }
+
+  /**
+   *
+   * @param {string} sql
+   * @param {any} params
+   * @returns {Promise<any[]>}
+   */
+  #all(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map((row) => this.#tag(row)));
+        }
+      });
+    });
+  }
+
   /**
    *
    * @param {number} src
@@ -164,19 +268,10 @@ export default class Query {
    * @returns {Promise<Range | undefined>}
    */
   exp({ exp_src, exp_row, exp_col }) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        "SELECT * FROM loc WHERE begin_src = $src AND begin_row = $row AND begin_col = $col",
-        { $src: exp_src, $row: exp_row, $col: exp_col },
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(row);
-          }
-        }
-      );
-    });
+    return this.#get(
+      "SELECT * FROM loc WHERE begin_src = $src AND begin_row = $row AND begin_col = $col",
+      { $src: exp_src, $row: exp_row, $col: exp_col }
+    );
   }
 
   /**
@@ -190,24 +285,15 @@ export default class Query {
     /**
      * @type {Range | undefined}
      */
-    const range = await new Promise((resolve, reject) => {
-      this.db.get(
-        "SELECT * FROM loc WHERE begin_src = $src AND end_src = $src AND ((begin_row = $row AND begin_col <= $col) OR (begin_row < $row)) AND ((end_row = $row AND end_col > $col) OR (end_row > $row)) AND semantics = $semantics",
-        {
-          $src: src,
-          $row: pos.line + 1,
-          $col: pos.character + 1,
-          $semantics: semantics,
-        },
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(row);
-          }
-        }
-      );
-    });
+    const range = await this.#get(
+      "SELECT * FROM loc WHERE begin_src = $src AND end_src = $src AND ((begin_row = $row AND begin_col <= $col) OR (begin_row < $row)) AND ((end_row = $row AND end_col > $col) OR (end_row > $row)) AND semantics = $semantics",
+      {
+        $src: src,
+        $row: pos.line + 1,
+        $col: pos.character + 1,
+        $semantics: semantics,
+      }
+    );
     return range
       ? { line: range.begin_row - 1, character: range.begin_col - 1 }
       : null;
@@ -220,19 +306,10 @@ export default class Query {
    * @returns {Promise<Token>}
    */
   token(src, pos) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        "SELECT * FROM tok WHERE src = $src AND begin_row = $row AND begin_col = $col",
-        { $src: src, $row: pos.line + 1, $col: pos.character + 1 },
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(row);
-          }
-        }
-      );
-    });
+    return this.#get(
+      "SELECT * FROM tok WHERE src = $src AND begin_row = $row AND begin_col = $col",
+      { $src: src, $row: pos.line + 1, $col: pos.character + 1 }
+    );
   }
 
   /**
@@ -241,19 +318,10 @@ export default class Query {
    * @returns {Promise<Range[]>}
    */
   expansions(src) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM loc WHERE begin_src = $src AND end_src = $src",
-        { $src: src },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    return this.#all(
+      "SELECT * FROM loc WHERE begin_src = $src AND end_src = $src",
+      { $src: src }
+    );
   }
 
   /**
@@ -262,21 +330,12 @@ export default class Query {
    * @returns {Promise<Node | undefined>}
    */
   node(numberOrPtr) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        typeof numberOrPtr === "string"
-          ? "SELECT * FROM ast WHERE ptr = $v"
-          : "SELECT * FROM ast WHERE number = $v",
-        { $v: numberOrPtr },
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(row);
-          }
-        }
-      );
-    });
+    return this.#get(
+      typeof numberOrPtr === "string"
+        ? "SELECT * FROM ast WHERE ptr = $v"
+        : "SELECT * FROM ast WHERE number = $v",
+      { $v: numberOrPtr }
+    );
   }
 
   /**
@@ -315,19 +374,10 @@ export default class Query {
         );
 
       /** @type {Node[]} */
-      const nodes = await new Promise((resolve, reject) => {
-        this.db.all(
-          "SELECT * FROM ast WHERE begin_src = $src AND begin_row = $row AND begin_col = $col",
-          { $src: src, $row: pos.line + 1, $col: pos.character + 1 },
-          (err, rows) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve(rows);
-            }
-          }
-        );
-      });
+      const nodes = await this.#all(
+        "SELECT * FROM ast WHERE begin_src = $src AND begin_row = $row AND begin_col = $col",
+        { $src: src, $row: pos.line + 1, $col: pos.character + 1 }
+      );
 
       /** @type {Node[]} */
       const declarations = [];
@@ -339,18 +389,8 @@ export default class Query {
     }
 
     const [definition] = /** @type {[Node]} */ (params);
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM ast WHERE def_ptr = $ptr",
-        { $ptr: definition.ptr },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
+    return this.#all("SELECT * FROM ast WHERE def_ptr = $ptr", {
+      $ptr: definition.ptr,
     });
   }
 
@@ -359,20 +399,40 @@ export default class Query {
    * @param {number} [src]
    * @returns {Promise<Node[]>}
    */
-  refs(ptrs, src) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM ast WHERE ${src != null ? `begin_src = ${src} AND` : ""} ref_ptr IN (${Array(ptrs.length).fill("?")})`,
-        ptrs,
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
+  async refs(ptrs, src) {
+    /** @type {Node[]} */
+    const result = [];
+    for (let i = 0; i < ptrs.length; i += MAX_BOUND) {
+      const chunk = ptrs.slice(i, i + MAX_BOUND);
+      result.push(
+        ...(await this.#all(
+          `SELECT * FROM ast WHERE ${src != null ? `begin_src = ${src} AND` : ""} ref_ptr IN (${Array(chunk.length).fill("?")})`,
+          chunk
+        ))
       );
-    });
+    }
+    return result;
+  }
+
+  /**
+   * Find which of the references write to what they refer to, i.e. the left
+   * operands of assignments, and the operands of increments and decrements.
+   * @param {number[]} numbers
+   * @returns {Promise<Node[]>}
+   */
+  async writes(numbers) {
+    /** @type {Node[]} */
+    const result = [];
+    for (let i = 0; i < numbers.length; i += MAX_BOUND) {
+      const chunk = numbers.slice(i, i + MAX_BOUND);
+      result.push(
+        ...(await this.#all(
+          `${lvalues(chunk.length)} SELECT ref.* FROM lvalue JOIN ast AS op ON op.number = lvalue.parent JOIN ast AS ref ON ref.number = lvalue.ref WHERE (op.kind IN ('BinaryOperator', 'CompoundAssignOperator') AND op.number + 1 = lvalue.number AND op.name IN ('=', '*=', '/=', '%=', '+=', '-=', '<<=', '>>=', '&=', '^=', '|=')) OR (op.kind = 'UnaryOperator' AND op.name IN ('++', '--'))`,
+          chunk
+        ))
+      );
+    }
+    return result;
   }
 
   /**
@@ -381,18 +441,8 @@ export default class Query {
    * @returns {Promise<Node[]>}
    */
   children(number) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM ast WHERE parent_number = $number",
-        { $number: number },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
+    return this.#all("SELECT * FROM ast WHERE parent_number = $number", {
+      $number: number,
     });
   }
 
@@ -416,19 +466,10 @@ export default class Query {
   range(...params) {
     if (typeof params[1] === "number") {
       const [first, last] = /** @type {[number, number]} */ (params);
-      return new Promise((resolve, reject) => {
-        this.db.all(
-          "SELECT * FROM ast WHERE number >= $first AND number <= $last",
-          { $first: first, $last: last },
-          (err, rows) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve(rows);
-            }
-          }
-        );
-      });
+      return this.#all(
+        "SELECT * FROM ast WHERE number >= $first AND number <= $last",
+        { $first: first, $last: last }
+      );
     }
 
     const [src, range] =
@@ -436,25 +477,16 @@ export default class Query {
         params
       );
 
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM ast WHERE begin_src = $src AND (($begin_row = begin_row AND $begin_col <= begin_col) OR ($begin_row < begin_row)) AND ((end_row = $end_row AND end_col <= $end_col) OR (end_row < $end_row))",
-        {
-          $src: src,
-          $begin_row: range.start.line + 1,
-          $begin_col: range.start.character + 1,
-          $end_row: range.end.line + 1,
-          $end_col: range.end.character + 1,
-        },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    return this.#all(
+      "SELECT * FROM ast WHERE begin_src = $src AND (($begin_row = begin_row AND $begin_col <= begin_col) OR ($begin_row < begin_row)) AND ((end_row = $end_row AND end_col <= $end_col) OR (end_row < $end_row))",
+      {
+        $src: src,
+        $begin_row: range.start.line + 1,
+        $begin_col: range.start.character + 1,
+        $end_row: range.end.line + 1,
+        $end_col: range.end.character + 1,
+      }
+    );
   }
 
   /**
@@ -462,39 +494,364 @@ export default class Query {
    * @returns {Promise<Node[]>}
    */
   symbols(src) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM ast WHERE parent_number = 0 AND begin_src = $src AND end_src = $src",
-        { $src: src },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    return this.#all(
+      "SELECT * FROM ast WHERE parent_number = 0 AND begin_src = $src AND end_src = $src",
+      { $src: src }
+    );
   }
 
   /**
-   * @param {number} src
+   * Find the inclusion directives of the file, or of the translation unit.
+   * @param {number} [src]
    * @returns {Promise<Node[]>}
    */
   links(src) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM ast WHERE kind = 'InclusionDirective' AND src = $src",
-        { $src: src },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
+    return this.#all(
+      `SELECT * FROM ast WHERE kind = 'InclusionDirective'${src != null ? " AND src = $src" : ""}`,
+      src != null ? { $src: src } : {}
+    );
+  }
+
+  /**
+   * Get the names of all files of the translation unit.
+   * @returns {Promise<string[]>}
+   */
+  async filenames() {
+    /** @type {{filename: string}[]} */
+    const rows = await this.#all("SELECT filename FROM src", {});
+    return rows.map(({ filename }) => filename);
+  }
+
+  /**
+   * Find the functions assigned to the function pointer by assignments, or by
+   * initializers of the variable, or of the records having the field.
+   * @param {Node} node a field or a variable
+   * @returns {Promise<Node[]>}
+   */
+  async assigned(node) {
+    /** @type {Node[]} */
+    const functions = await this.#all(
+      `SELECT fn.* FROM ast AS lhs JOIN ast AS op ON op.number = lhs.parent_number AND op.number + 1 = lhs.number JOIN ast AS ref ON lhs.final_number < ref.number AND ref.number <= op.final_number AND ${ASSIGNED_FUNCTION.replace("$scope", "op.number")} JOIN ast AS fn ON fn.ptr = ref.ref_ptr WHERE lhs.kind IN ('MemberExpr', 'DeclRefExpr') AND lhs.ref_ptr = $ptr AND op.kind = 'BinaryOperator' AND (op.name IS NULL OR op.name = '=')`,
+      { $ptr: node.ptr }
+    );
+
+    if (node.kind === "VarDecl") {
+      functions.push(
+        ...(await this.#all(
+          `SELECT fn.* FROM ast AS ref JOIN ast AS fn ON fn.ptr = ref.ref_ptr WHERE $number < ref.number AND ref.number <= $final_number AND ${ASSIGNED_FUNCTION.replace("$scope", "$number")}`,
+          { $number: node.number, $final_number: node.final_number }
+        ))
       );
-    });
+    } else if (node.kind === "FieldDecl") {
+      // Initializer lists have their items in the order of the fields
+      functions.push(
+        ...(await this.#all(
+          `SELECT fn.* FROM ast AS field JOIN ast AS record ON record.number = field.parent_number JOIN ast AS list ON list.kind = 'InitListExpr' AND (list.qualified_type = record.qualified_type OR list.desugared_type = record.qualified_type) JOIN ast AS item ON item.parent_number = list.number AND (SELECT COUNT(*) FROM ast AS prev WHERE prev.parent_number = list.number AND prev.number < item.number) = (SELECT COUNT(*) FROM ast AS prev WHERE prev.parent_number = record.number AND prev.kind = 'FieldDecl' AND prev.number < field.number) JOIN ast AS ref ON item.number <= ref.number AND ref.number <= item.final_number AND ${ASSIGNED_FUNCTION.replace("$scope", "list.number")} JOIN ast AS fn ON fn.ptr = ref.ref_ptr WHERE field.number = $number`,
+          { $number: node.number }
+        ))
+      );
+    }
+
+    return functions;
+  }
+
+  /**
+   * Find the fields and variables declared with the type.
+   * @param {Node} type
+   * @returns {Promise<Node[]>}
+   */
+  typed(type) {
+    return this.#all(
+      "SELECT * FROM ast WHERE type_ptr = $ptr AND kind IN ('FieldDecl', 'VarDecl')",
+      { $ptr: type.ptr }
+    );
+  }
+
+  /**
+   * Find the declarations having the same name and kind at the same location.
+   * @param {Node} node
+   * @param {string} filename the file of the node's name
+   * @returns {Promise<Node[]>}
+   */
+  located({ kind, name, row, col }, filename) {
+    return this.#all(
+      "SELECT ast.* FROM ast JOIN src ON src.number = ast.src WHERE src.filename = $filename AND ast.row = $row AND ast.col = $col AND ast.kind = $kind AND ast.name = $name",
+      { $filename: filename, $row: row, $col: col, $kind: kind, $name: name }
+    );
+  }
+
+  /**
+   * Find the nodes whose lines are around the position, including those
+   * expanded from the macro invocation at the location, the innermost first.
+   * @param {number} src
+   * @param {import("vscode-languageserver/node.js").Position} pos
+   * @param {import("vscode-languageserver/node.js").Position | null} loc
+   * @returns {Promise<Node[]>}
+   */
+  around(src, pos, loc) {
+    return this.#all(
+      "SELECT * FROM ast WHERE kind NOT IN ('ExpansionDecl', 'Token') AND ((begin_src = $src AND begin_row <= $row AND $row <= end_row) OR (exp_src = $src AND exp_row = $exp_row AND exp_col = $exp_col)) ORDER BY number DESC",
+      {
+        $src: src,
+        $row: pos.line + 1,
+        $exp_row: loc ? loc.line + 1 : 0,
+        $exp_col: loc ? loc.character + 1 : 0,
+      }
+    );
+  }
+
+  /**
+   * Find the calls of the file whose lines are within the range, along with
+   * the pointers of their callees.
+   * @param {number} src
+   * @param {import("vscode-languageserver/node.js").Range} range
+   * @returns {Promise<(Node & {callee: string})[]>}
+   */
+  calls(src, range) {
+    return this.#all(
+      "SELECT call.*, ref.ref_ptr AS callee FROM ast AS call JOIN ast AS head ON head.number = call.number + 1 JOIN ast AS ref ON head.number <= ref.number AND ref.number <= head.final_number AND ref.kind = 'DeclRefExpr' AND ref.ref_kind = 'Function' WHERE call.kind = 'CallExpr' AND call.begin_src = $src AND $first <= call.end_row AND call.begin_row <= $last",
+      { $src: src, $first: range.start.line + 1, $last: range.end.line + 1 }
+    );
+  }
+
+  /**
+   * Find the variables of the file declared with typedefs, whose names are
+   * within the lines of the range.
+   * @param {number} src
+   * @param {import("vscode-languageserver/node.js").Range} range
+   * @returns {Promise<Node[]>}
+   */
+  typedefed(src, range) {
+    return this.#all(
+      "SELECT * FROM ast WHERE src = $src AND kind IN ('VarDecl', 'ParmVarDecl') AND name IS NOT NULL AND desugared_type IS NOT NULL AND qualified_type <> desugared_type AND row BETWEEN $first AND $last",
+      { $src: src, $first: range.start.line + 1, $last: range.end.line + 1 }
+    );
+  }
+
+  /**
+   * Find the macro invocations of the file within the lines of the range,
+   * which are single identifiers expanded to single tokens, i.e. `value`.
+   * @param {number} src
+   * @param {import("vscode-languageserver/node.js").Range} range
+   * @returns {Promise<(Node & {value: string})[]>}
+   */
+  substitutions(src, range) {
+    return this.#all(
+      "SELECT exp.*, tok.name AS value FROM ast AS exp JOIN ast AS tok ON tok.number = exp.number + 1 AND tok.parent_number = exp.number AND tok.kind = 'Token' WHERE exp.kind = 'ExpansionDecl' AND exp.final_number = tok.number AND exp.begin_src = $src AND exp.begin_row = exp.end_row AND exp.begin_col = exp.end_col AND exp.begin_row BETWEEN $first AND $last",
+      { $src: src, $first: range.start.line + 1, $last: range.end.line + 1 }
+    );
+  }
+
+  /**
+   * Find the outermost macro expansion beginning at the position.
+   * @param {number} src
+   * @param {import("vscode-languageserver/node.js").Position} pos
+   * @returns {Promise<Node | undefined>}
+   */
+  expansion(src, pos) {
+    return this.#get(
+      "SELECT * FROM ast WHERE kind = 'ExpansionDecl' AND begin_src = $src AND begin_row = $row AND begin_col = $col ORDER BY number LIMIT 1",
+      { $src: src, $row: pos.line + 1, $col: pos.character + 1 }
+    );
+  }
+
+  /**
+   * Find the file scope function, variable or macro of the name.
+   * @param {string} name
+   * @returns {Promise<Node | undefined>}
+   */
+  named(name) {
+    return this.#get(
+      "SELECT * FROM ast WHERE name = $name AND parent_number = 0 AND kind IN ('FunctionDecl', 'VarDecl', 'MacroDecl') ORDER BY number LIMIT 1",
+      { $name: name }
+    );
+  }
+
+  /**
+   * Find the declarations of the name, including those of macros, labels and
+   * the members of records.
+   * @param {string} name
+   * @returns {Promise<Node[]>}
+   */
+  declarationsNamed(name) {
+    return this.#all(
+      "SELECT * FROM ast WHERE name = $name AND kind IN ('FunctionDecl', 'VarDecl', 'ParmVarDecl', 'TypedefDecl', 'RecordDecl', 'EnumConstantDecl', 'FieldDecl', 'LabelDecl', 'MacroDecl') ORDER BY number",
+      { $name: name }
+    );
+  }
+
+  /**
+   * Find the innermost node of the kinds containing the node, e.g. the block
+   * whose scope it is declared in, which is undefined at file scope.
+   * @param {Node} node
+   * @param {string[]} kinds
+   * @returns {Promise<Node | undefined>}
+   */
+  scope(node, kinds) {
+    return this.#get(
+      `SELECT * FROM ast WHERE number < ? AND final_number >= ? AND kind IN (${Array(kinds.length).fill("?")}) ORDER BY number DESC LIMIT 1`,
+      [node.number, node.number, ...kinds]
+    );
+  }
+
+  /**
+   * Find the innermost function whose definition contains the position.
+   * @param {number} src
+   * @param {import("vscode-languageserver/node.js").Position} pos
+   * @returns {Promise<Node | undefined>}
+   */
+  enclosing(src, pos) {
+    return this.#get(
+      "SELECT * FROM ast WHERE kind = 'FunctionDecl' AND begin_src = $src AND end_src = $src AND (begin_row < $row OR (begin_row = $row AND begin_col <= $col)) AND (end_row > $row OR (end_row = $row AND end_col >= $col)) ORDER BY number DESC LIMIT 1",
+      { $src: src, $row: pos.line + 1, $col: pos.character + 1 }
+    );
+  }
+
+  /**
+   * Find the parameters and the local variables of the function declared
+   * before the position, in the blocks containing it.
+   * @param {Node} fn
+   * @param {import("vscode-languageserver/node.js").Position} pos
+   * @returns {Promise<Node[]>}
+   */
+  locals(fn, pos) {
+    return this.#all(
+      "WITH closed AS MATERIALIZED (SELECT number, final_number FROM ast WHERE number > $first AND number <= $last AND kind IN ('CompoundStmt', 'ForStmt') AND NOT (begin_src = $src AND (begin_row < $row OR (begin_row = $row AND begin_col <= $col)) AND (end_row > $row OR (end_row = $row AND end_col >= $col)))) SELECT * FROM ast WHERE number > $first AND number <= $last AND kind IN ('ParmVarDecl', 'VarDecl') AND name IS NOT NULL AND begin_src = $src AND (begin_row < $row OR (begin_row = $row AND begin_col < $col)) AND NOT EXISTS (SELECT 1 FROM closed WHERE closed.number < ast.number AND closed.final_number >= ast.number) ORDER BY number DESC",
+      {
+        $first: fn.number,
+        $last: fn.final_number,
+        $src: fn.begin_src,
+        $row: pos.line + 1,
+        $col: pos.character + 1,
+      }
+    );
+  }
+
+  /**
+   * Find the file scope declarations, macros and enumerators whose names
+   * begin with the prefix, case-insensitively.
+   * @param {string} prefix
+   * @param {number} [limit] the most to find, unlimited if negative
+   * @returns {Promise<Node[]>}
+   */
+  globals(prefix, limit = -1) {
+    return this.#all(
+      "SELECT * FROM ast WHERE name LIKE $pattern ESCAPE '\\' AND ((parent_number = 0 AND kind IN ('FunctionDecl', 'VarDecl', 'TypedefDecl', 'RecordDecl', 'MacroDecl')) OR kind = 'EnumConstantDecl') ORDER BY number LIMIT $limit",
+      { $pattern: `${prefix.replace(/[\\%_]/g, "\\$&")}%`, $limit: limit }
+    );
+  }
+
+  /**
+   * Find the first expansion of the macro in the translation unit.
+   * @param {Node} macro
+   * @returns {Promise<Node | undefined>}
+   */
+  expansionOf(macro) {
+    return this.#get(
+      "SELECT * FROM ast WHERE kind = 'ExpansionDecl' AND ref_ptr = $ptr ORDER BY number LIMIT 1",
+      { $ptr: macro.ptr }
+    );
+  }
+
+  /**
+   * Count the expansions of the macro in the translation unit, including
+   * those within the expansions of other macros.
+   * @param {Node} macro
+   * @returns {Promise<number>}
+   */
+  async expansionCount(macro) {
+    /** @type {{count: number} | undefined} */
+    const row = await this.#get(
+      "SELECT COUNT(*) AS count FROM ast WHERE kind = 'ExpansionDecl' AND ref_ptr = $ptr",
+      { $ptr: macro.ptr }
+    );
+    return row?.count ?? 0;
+  }
+
+  /**
+   * Get the range of the macro invocation, which includes the arguments of
+   * function-like macros.
+   * @param {Pick<Node, "begin_src" | "begin_row" | "begin_col">} expansion
+   * @returns {Promise<Range | undefined>}
+   */
+  extent({ begin_src, begin_row, begin_col }) {
+    return this.#get(
+      "SELECT * FROM loc WHERE begin_src = $src AND begin_row = $row AND begin_col = $col AND semantics = $semantics",
+      {
+        $src: begin_src,
+        $row: begin_row,
+        $col: begin_col,
+        $semantics: SEMANTIC_EXPANSION,
+      }
+    );
+  }
+
+  /**
+   * Find the macro expansions in the file along with their tokens, in
+   * preorder.
+   * @param {number} src
+   * @returns {Promise<Node[]>}
+   */
+  expanded(src) {
+    return this.#all(
+      "SELECT * FROM ast WHERE kind IN ('ExpansionDecl', 'Token') AND begin_src = $src ORDER BY number",
+      { $src: src }
+    );
+  }
+
+  /**
+   * Find the declarations in other files the tokens of the file refer to,
+   * along with where each is first used, where the expansions of macros refer
+   * to the definitions of the macros.
+   * @param {number} src
+   * @returns {Promise<(Node & {use_row: number, use_col: number})[]>}
+   */
+  references(src) {
+    return this.#all(
+      "SELECT ast.*, tok.begin_row AS use_row, MIN(tok.begin_col + tok.begin_row * 65536) % 65536 AS use_col FROM tok JOIN ast AS used ON used.number = tok.decl JOIN ast ON ast.number = IIF(used.kind = 'ExpansionDecl', (SELECT macro.number FROM ast AS macro WHERE macro.kind = 'MacroDecl' AND macro.ptr = used.ref_ptr), used.number) WHERE tok.src = $src AND ast.begin_src != $src AND ast.begin_src > 0 AND ast.name IS NOT NULL GROUP BY ast.number ORDER BY use_row, use_col",
+      { $src: src }
+    );
+  }
+
+  /**
+   * Get the name of the main file of the translation unit, i.e. the one not
+   * included by any other.
+   * @returns {Promise<string | undefined>}
+   */
+  async main() {
+    /** @type {{filename: string} | undefined} */
+    const row = await this.#get(
+      "SELECT filename FROM src WHERE filename NOT LIKE '<%' AND filename NOT IN (SELECT desugared_type FROM ast WHERE kind = 'InclusionDirective' AND desugared_type IS NOT NULL) ORDER BY number LIMIT 1",
+      {}
+    );
+    return row?.filename;
+  }
+
+  /**
+   * Find the multiline blocks of the file, i.e. compound statements, records
+   * and initializer lists.
+   * @param {number} src
+   * @returns {Promise<(Range & {kind: string})[]>}
+   */
+  blocks(src) {
+    return this.#all(
+      "SELECT kind, begin_row, begin_col, end_row, end_col FROM ast WHERE begin_src = $src AND end_src = $src AND begin_row < end_row AND kind IN ('CompoundStmt', 'RecordDecl', 'InitListExpr') ORDER BY begin_row, end_row DESC",
+      { $src: src }
+    );
+  }
+
+  /**
+   * Find the tokens of the file along with the declarations they refer to,
+   * where `declaration` tells whether the token is the declared name, and
+   * `body` whether such a declaration has a body.
+   * @param {number} src
+   * @returns {Promise<Spelling[]>}
+   */
+  spellings(src) {
+    return this.#all(
+      "SELECT tok.begin_row, tok.begin_col, ast.kind, ast.name, ast.class, ast.specs, ast.parent_number, (ast.src = tok.src AND ast.row = tok.begin_row AND ast.col = tok.begin_col) AS declaration, CASE WHEN ast.src = tok.src AND ast.row = tok.begin_row AND ast.col = tok.begin_col THEN EXISTS (SELECT 1 FROM ast AS child WHERE child.parent_number = ast.number AND child.kind IN ('CompoundStmt', 'FieldDecl', 'EnumConstantDecl')) ELSE 0 END AS body FROM tok JOIN ast ON ast.number = tok.decl WHERE tok.src = $src AND ast.name IS NOT NULL",
+      { $src: src }
+    );
   }
 
   /**
@@ -517,15 +874,7 @@ export default class Query {
         ]
       : ["SELECT * FROM loc WHERE begin_src = $src", { $src: src }];
 
-    return new Promise((resolve, reject) => {
-      this.db.all(...args, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return this.#all(...args);
   }
 
   /**
@@ -534,19 +883,10 @@ export default class Query {
    * @returns {Promise<Node | undefined>}
    */
   caller(number) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        "SELECT * FROM ast WHERE kind = 'FunctionDecl' AND parent_number = 0 AND number < $number AND $number <= final_number",
-        { $number: number },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    return this.#get(
+      "SELECT * FROM ast WHERE kind = 'FunctionDecl' AND parent_number = 0 AND number < $number AND $number <= final_number",
+      { $number: number }
+    );
   }
 
   /**
@@ -556,18 +896,35 @@ export default class Query {
    */
   callees(definition) {
     const { number, final_number } = definition;
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM ast, json_each(ast.ancestors) WHERE $number < number AND number <= $final_number AND kind = 'DeclRefExpr' AND ref_kind = 'Function' AND json_each.value = 'CallExpr'",
-        { $number: number, $final_number: final_number },
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    return this.#all(
+      "SELECT * FROM ast, json_each(ast.ancestors) WHERE $number < number AND number <= $final_number AND kind = 'DeclRefExpr' AND ref_kind = 'Function' AND json_each.value = 'CallExpr'",
+      { $number: number, $final_number: final_number }
+    );
+  }
+
+  /**
+   * Find the top-level entities with external linkage which are the same as
+   * the given node, i.e. having the same kind, name and type.
+   * @param {Node} node
+   * @returns {Promise<Node[]>}
+   */
+  linkage({ kind, name, qualified_type }) {
+    return this.#all(
+      "SELECT * FROM ast WHERE parent_number = 0 AND kind = $kind AND name = $name AND qualified_type IS $type AND specs & 2 = 0",
+      { $kind: kind, $name: name, $type: qualified_type }
+    );
+  }
+
+  /**
+   * Find the definition of the entity with external linkage which is the same
+   * as the given node.
+   * @param {Node} node
+   * @returns {Promise<Node | undefined>}
+   */
+  definition({ kind, name, qualified_type }) {
+    return this.#get(
+      "SELECT * FROM ast WHERE parent_number = 0 AND kind = $kind AND name = $name AND qualified_type IS $type AND specs & 2 = 0 AND ((kind = 'VarDecl' AND specs & 1 = 0) OR EXISTS (SELECT 1 FROM ast AS child WHERE child.parent_number = ast.number AND child.kind = 'CompoundStmt'))",
+      { $kind: kind, $name: name, $type: qualified_type }
+    );
   }
 }
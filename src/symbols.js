@@ -0,0 +1,497 @@
+// @ts-check
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import { createHash } from "crypto";
+import sqlite3 from "sqlite3";
+
+/**
+ * @typedef {{
+ *   tu: string,
+ *   name: string,
+ *   kind: string,
+ *   class: number,
+ *   qualified_type: string | null,
+ *   specs: number,
+ *   filename: string,
+ *   begin_row: number,
+ *   begin_col: number,
+ *   end_row: number,
+ *   end_col: number,
+ *   row: number,
+ *   col: number,
+ *   definition: number,
+ *   external: number,
+ * }} Symbol
+ */
+
+/**
+ * @typedef {Symbol & {tus: number}} Match
+ */
+
+/**
+ * Bump the version once the schema is changed, so that the persisted index is
+ * rebuilt from scratch.
+ */
+const VERSION = 3;
+
+const SCHEMA = [
+  "CREATE TABLE IF NOT EXISTS tu (path TEXT PRIMARY KEY, mtime REAL NOT NULL)",
+  "CREATE TABLE IF NOT EXISTS file (tu TEXT NOT NULL, filename TEXT NOT NULL, hash TEXT)",
+  "CREATE INDEX IF NOT EXISTS file_filename ON file (filename)",
+  "CREATE INDEX IF NOT EXISTS file_tu ON file (tu)",
+  "CREATE TABLE IF NOT EXISTS symbol (tu TEXT NOT NULL, name TEXT NOT NULL, kind TEXT NOT NULL, class INTEGER, qualified_type TEXT, specs INTEGER, filename TEXT NOT NULL, begin_row INTEGER, begin_col INTEGER, end_row INTEGER, end_col INTEGER, row INTEGER, col INTEGER, definition INTEGER, external INTEGER)",
+  "CREATE INDEX IF NOT EXISTS symbol_name ON symbol (name)",
+  "CREATE INDEX IF NOT EXISTS symbol_tu ON symbol (tu)",
+];
+
+const COLUMNS = [
+  "tu",
+  "name",
+  "kind",
+  "class",
+  "qualified_type",
+  "specs",
+  "filename",
+  "begin_row",
+  "begin_col",
+  "end_row",
+  "end_col",
+  "row",
+  "col",
+  "definition",
+  "external",
+];
+
+const SPEC_EXTERN = 1;
+const SPEC_STATIC = 2;
+
+/**
+ * Get the default file the index of the given workspace is persisted to.
+ * @param {string} workspace
+ * @returns {string}
+ */
+export function getCacheFile(workspace) {
+  const dir = path.join(
+    process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"),
+    "language-server-cc"
+  );
+  const hash = createHash("sha1").update(workspace).digest("hex");
+  return path.join(dir, `${hash}.db`);
+}
+
+/**
+ *
+ * @param {import("sqlite3").Database} db
+ * @param {string} sql
+ * @param {any} [params]
+ * @returns {Promise<void>}
+ */
+function run(db, sql, params = {}) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ *
+ * @param {import("sqlite3").Database} db
+ * @param {string} sql
+ * @param {any} [params]
+ * @returns {Promise<any>}
+ */
+function get(db, sql, params = {}) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+}
+
+/**
+ *
+ * @param {import("sqlite3").Database} db
+ * @param {string} sql
+ * @param {any} [params]
+ * @returns {Promise<any[]>}
+ */
+function all(db, sql, params = {}) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+/**
+ *
+ * @param {string} file
+ * @param {number} [mode]
+ * @returns {Promise<import("sqlite3").Database>}
+ */
+function openDatabase(
+  file,
+  mode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE
+) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, mode, (err) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(db);
+      }
+    });
+  });
+}
+
+/**
+ *
+ * @param {import("sqlite3").Database} db
+ * @returns {Promise<void>}
+ */
+function closeDatabase(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+/**
+ * Read the source files and the top-level named declarations of a
+ * translation unit, along with the enumerators and the macros, which are
+ * located where their names are, e.g. in the arguments of the macros
+ * generating them.
+ * @param {string} tu
+ * @returns {Promise<{files: string[], symbols: Symbol[]}>}
+ */
+async function readTranslationUnit(tu) {
+  const db = await openDatabase(tu, sqlite3.OPEN_READONLY);
+  try {
+    const files = (await all(db, "SELECT filename FROM src"))
+      .map((row) => row.filename)
+      .filter((filename) => filename && !filename.startsWith("<"));
+
+    const rows = await all(
+      db,
+      "SELECT ast.kind, ast.name, ast.class, ast.qualified_type, ast.specs, src.filename, IIF(same, ast.begin_row, ast.row) AS begin_row, IIF(same, ast.begin_col, ast.col) AS begin_col, IIF(same, ast.end_row, ast.row) AS end_row, IIF(same, ast.end_col, ast.col) AS end_col, ast.row, ast.col, EXISTS (SELECT 1 FROM ast AS child WHERE child.parent_number = ast.number AND child.kind IN ('CompoundStmt', 'FieldDecl', 'EnumConstantDecl')) AS body FROM (SELECT *, begin_src = src AND end_src = src AS same FROM ast) AS ast JOIN src ON src.number = ast.src WHERE ast.name IS NOT NULL AND ast.row > 0 AND ((ast.parent_number = 0 AND ast.kind IN ('FunctionDecl', 'RecordDecl', 'VarDecl', 'TypedefDecl', 'MacroDecl')) OR ast.kind = 'EnumConstantDecl')"
+    );
+
+    /** @type {Symbol[]} */
+    const symbols = [];
+    for (const row of rows) {
+      // Skip the builtin files
+      if (!row.filename || row.filename.startsWith("<")) continue;
+
+      const { body, ...symbol } = row;
+      symbol.tu = tu;
+      symbol.specs = symbol.specs || 0;
+
+      switch (symbol.kind) {
+        case "FunctionDecl":
+        case "RecordDecl":
+          symbol.definition = body;
+          break;
+        case "VarDecl":
+          symbol.definition = symbol.specs & SPEC_EXTERN ? 0 : 1;
+          break;
+        default:
+          symbol.definition = 1;
+      }
+
+      symbol.external =
+        (symbol.kind === "FunctionDecl" || symbol.kind === "VarDecl") &&
+        !(symbol.specs & SPEC_STATIC)
+          ? 1
+          : 0;
+
+      symbols.push(symbol);
+    }
+    return { files, symbols };
+  } finally {
+    await closeDatabase(db);
+  }
+}
+
+/**
+ *
+ * @param {string} s
+ */
+function escapeLike(s) {
+  return s.replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * Score how well the name matches the query, the lower is the better.
+ * @param {string} name
+ * @param {string} query
+ * @returns {number}
+ */
+function score(name, query) {
+  if (name === query) return 0;
+
+  const lowerName = name.toLowerCase();
+  const lowerQuery = query.toLowerCase();
+  if (lowerName === lowerQuery) return 1;
+  if (name.startsWith(query)) return 2;
+  if (lowerName.startsWith(lowerQuery)) return 3;
+  if (lowerName.includes(lowerQuery)) return 4;
+  return 5;
+}
+
+/**
+ * A symbol index merged from all translation units of a workspace, which is
+ * persisted in a sqlite database and incrementally refreshed by the mtime of
+ * each translation unit.
+ */
+export default class SymbolIndex {
+  /** @type {string} */
+  file;
+
+  /** @type {Promise<import("sqlite3").Database>} */
+  #db;
+
+  /** @type {Promise<void> | undefined} */
+  #updating;
+
+  /**
+   * @param {string} file
+   */
+  constructor(file) {
+    this.file = file;
+    this.#db = (async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const db = await openDatabase(file);
+      const { user_version } = await get(db, "PRAGMA user_version");
+      if (user_version !== VERSION) {
+        for (const table of ["tu", "file", "symbol"])
+          await run(db, `DROP TABLE IF EXISTS ${table}`);
+        await run(db, `PRAGMA user_version = ${VERSION}`);
+      }
+      for (const sql of SCHEMA) await run(db, sql);
+      return db;
+    })();
+  }
+
+  /**
+   * Bring the index up to date with the given translation units, the outdated
+   * or vanished ones are reindexed or dropped respectively.
+   * @param {string[]} translationUnits
+   * @param {(tu: string, error: Error) => void} [onError]
+   * @returns {Promise<number>} the number of reindexed translation units
+   */
+  async update(translationUnits, onError) {
+    // Serialize the updates since they share the same transactions
+    while (this.#updating) await this.#updating;
+
+    let count = 0;
+    const task = (async () => {
+      const db = await this.#db;
+
+      /** @type {Map<string, number>} */
+      const indexed = new Map();
+      for (const { path, mtime } of await all(db, "SELECT * FROM tu"))
+        indexed.set(path, mtime);
+
+      const known = new Set(translationUnits);
+      for (const tu of indexed.keys()) {
+        if (!known.has(tu)) await this.#remove(db, tu);
+      }
+
+      for (const tu of translationUnits) {
+        try {
+          const { mtimeMs } = await fs.promises.stat(tu);
+          if (indexed.get(tu) === mtimeMs) continue;
+
+          const { files, symbols } = await readTranslationUnit(tu);
+          await this.#replace(db, tu, mtimeMs, files, symbols);
+          ++count;
+        } catch (error) {
+          onError?.(tu, /** @type {Error} */ (error));
+        }
+      }
+    })();
+
+    this.#updating = task;
+    try {
+      await task;
+    } finally {
+      this.#updating = undefined;
+    }
+    return count;
+  }
+
+  /**
+   *
+   * @param {import("sqlite3").Database} db
+   * @param {string} tu
+   */
+  async #remove(db, tu) {
+    await run(db, "BEGIN");
+    try {
+      await run(db, "DELETE FROM symbol WHERE tu = $tu", { $tu: tu });
+      await run(db, "DELETE FROM file WHERE tu = $tu", { $tu: tu });
+      await run(db, "DELETE FROM tu WHERE path = $tu", { $tu: tu });
+      await run(db, "COMMIT");
+    } catch (error) {
+      await run(db, "ROLLBACK");
+      throw error;
+    }
+  }
+
+  /**
+   *
+   * @param {import("sqlite3").Database} db
+   * @param {string} tu
+   * @param {number} mtime
+   * @param {string[]} files
+   * @param {Symbol[]} symbols
+   */
+  async #replace(db, tu, mtime, files, symbols) {
+    await run(db, "BEGIN");
+    try {
+      await run(db, "DELETE FROM symbol WHERE tu = $tu", { $tu: tu });
+      await run(db, "DELETE FROM file WHERE tu = $tu", { $tu: tu });
+      for (const filename of files) {
+        await run(db, "INSERT INTO file (tu, filename) VALUES (?, ?)", [
+          tu,
+          filename,
+        ]);
+      }
+      const sql = `INSERT INTO symbol (${COLUMNS}) VALUES (${COLUMNS.map(() => "?")})`;
+      for (const symbol of symbols) {
+        await run(
+          db,
+          sql,
+          COLUMNS.map((column) => symbol[column])
+        );
+      }
+      await run(db, "INSERT OR REPLACE INTO tu (path, mtime) VALUES (?, ?)", [
+        tu,
+        mtime,
+      ]);
+      await run(db, "COMMIT");
+    } catch (error) {
+      await run(db, "ROLLBACK");
+      throw error;
+    }
+  }
+
+  /**
+   * Search symbols whose name fuzzily matches the query. Declarations of the
+   * same entity seen in several translation units are merged, and definitions
+   * are ranked ahead of declarations.
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {Promise<Match[]>}
+   */
+  async search(query, limit = 256) {
+    const db = await this.#db;
+    const pattern = `%${[...query].map(escapeLike).join("%")}%`;
+
+    /** @type {Match[]} */
+    const rows = await all(
+      db,
+      "SELECT tu, name, kind, class, qualified_type, specs, filename, begin_row, begin_col, end_row, end_col, row, col, external, MAX(definition) AS definition, COUNT(DISTINCT tu) AS tus FROM symbol WHERE name LIKE $pattern ESCAPE '\\' GROUP BY name, kind, filename, row, col ORDER BY name LIKE $prefix ESCAPE '\\' DESC, definition DESC, length(name) LIMIT $limit",
+      {
+        $pattern: pattern,
+        $prefix: `${escapeLike(query)}%`,
+        // Oversample a bit since the final order is decided by the scores
+        $limit: limit * 4,
+      }
+    );
+
+    return rows
+      .map((row) => ({ row, score: score(row.name, query) }))
+      .sort(
+        (a, b) =>
+          a.score - b.score ||
+          b.row.definition - a.row.definition ||
+          a.row.name.length - b.row.name.length ||
+          a.row.name.localeCompare(b.row.name)
+      )
+      .slice(0, limit)
+      .map(({ row }) => row);
+  }
+
+  /**
+   * Get the translation units in which the entity with external linkage of
+   * the given name and kind is seen.
+   * @param {string} name
+   * @param {string} kind
+   * @param {{definition?: boolean}} [options]
+   * @returns {Promise<string[]>}
+   */
+  async translationUnits(name, kind, options) {
+    const db = await this.#db;
+    const rows = await all(
+      db,
+      `SELECT DISTINCT tu FROM symbol WHERE name = $name AND kind = $kind AND external = 1${options?.definition ? " AND definition = 1" : ""}`,
+      { $name: name, $kind: kind }
+    );
+    return rows.map((row) => row.tu);
+  }
+
+  /**
+   * Get the translation units which have the file in their source table.
+   * @param {string} filename
+   * @returns {Promise<string[]>}
+   */
+  async translationUnitsOf(filename) {
+    const db = await this.#db;
+    const rows = await all(
+      db,
+      "SELECT DISTINCT tu FROM file WHERE filename = $filename",
+      { $filename: filename }
+    );
+    return rows.map((row) => row.tu);
+  }
+
+  /**
+   * Get the content hash of the file which is known to be indexed by the
+   * translation unit.
+   * @param {string} tu
+   * @param {string} filename
+   * @returns {Promise<string | undefined>}
+   */
+  async hash(tu, filename) {
+    const db = await this.#db;
+    const row = await get(
+      db,
+      "SELECT hash FROM file WHERE tu = $tu AND filename = $filename",
+      { $tu: tu, $filename: filename }
+    );
+    return row?.hash || undefined;
+  }
+
+  /**
+   * Remember the content hash of the file which is known to be indexed by the
+   * translation unit.
+   * @param {string} tu
+   * @param {string} filename
+   * @param {string} hash
+   */
+  async setHash(tu, filename, hash) {
+    const db = await this.#db;
+    await run(
+      db,
+      "UPDATE file SET hash = $hash WHERE tu = $tu AND filename = $filename",
+      { $tu: tu, $filename: filename, $hash: hash }
+    );
+  }
+
+  async close() {
+    await closeDatabase(await this.#db);
+  }
+}
@@ -0,0 +1,186 @@
+// @ts-check
+
+import * as fs from "fs";
+
+/**
+ * @typedef {{
+ *   line: number,
+ *   character: number,
+ *   length: number,
+ *   tokenType: number,
+ *   tokenModifier: number,
+ * }} SemanticTokenItem
+ */
+
+/**
+ * @typedef {{
+ *   tu: string,
+ *   mtimeMs: number,
+ *   doc: import("vscode-languageserver-textdocument").TextDocument,
+ *   items: Promise<SemanticTokenItem[]>,
+ * }} Entry
+ */
+
+/**
+ * Encode the sorted items relatively to their previous ones.
+ * @param {SemanticTokenItem[]} items
+ * @returns {number[]}
+ */
+export function encode(items) {
+  /** @type {number[]} */
+  const data = [];
+  let line = 0;
+  let character = 0;
+
+  for (const item of items) {
+    data.push(
+      item.line - line,
+      item.line === line ? item.character - character : item.character,
+      item.length,
+      item.tokenType,
+      item.tokenModifier
+    );
+    line = item.line;
+    character = item.character;
+  }
+  return data;
+}
+
+/**
+ * Split the item around the ranges of its line, which take precedence over
+ * it since tokens must not overlap, e.g. the spelled arguments within a macro
+ * invocation.
+ * @param {SemanticTokenItem} item
+ * @param {[number, number][]} ranges
+ * @returns {SemanticTokenItem[]}
+ */
+export function split(item, ranges) {
+  /** @type {SemanticTokenItem[]} */
+  const pieces = [];
+  const end = item.character + item.length;
+  let character = item.character;
+  for (const [begin, stop] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    if (stop <= character || begin >= end) continue;
+    if (begin > character)
+      pieces.push({ ...item, character, length: begin - character });
+    character = Math.max(character, stop);
+  }
+  if (end > character)
+    pieces.push({ ...item, character, length: end - character });
+  return pieces;
+}
+
+/**
+ * Compute the edit turning the previous encoded tokens into the current ones,
+ * which replaces everything between their common prefix and suffix.
+ * @param {number[]} previous
+ * @param {number[]} current
+ * @returns {import("vscode-languageserver/node.js").SemanticTokensEdit[]}
+ */
+export function edits(previous, current) {
+  const n = Math.min(previous.length, current.length);
+
+  let head = 0;
+  while (head < n && previous[head] === current[head]) ++head;
+  if (head === previous.length && head === current.length) return [];
+
+  let tail = 0;
+  while (
+    tail < n - head &&
+    previous[previous.length - 1 - tail] === current[current.length - 1 - tail]
+  )
+    ++tail;
+
+  return [
+    {
+      start: head,
+      deleteCount: previous.length - head - tail,
+      data: current.slice(head, current.length - tail),
+    },
+  ];
+}
+
+/**
+ * The semantic tokens of documents, in which the items of the indexed version
+ * are kept until the translation unit or the indexed version changes, and the
+ * latest encoded result is kept to compute the delta of the next one.
+ */
+export default class SemanticTokensCache {
+  /** @type {Map<string, Entry>} */
+  #entries = new Map();
+
+  /** @type {Map<string, import("vscode-languageserver/node.js").SemanticTokens>} */
+  #results = new Map();
+
+  #id = 0;
+
+  /**
+   * Get the items of the indexed document sorted by their positions, which are
+   * computed again only if the translation unit or the document has changed.
+   * @param {string} uri
+   * @param {string} tu
+   * @param {import("vscode-languageserver-textdocument").TextDocument} doc
+   * @param {() => Promise<SemanticTokenItem[]>} compute
+   * @returns {Promise<SemanticTokenItem[]>}
+   */
+  async items(uri, tu, doc, compute) {
+    const stats = await fs.promises.stat(tu).catch(() => undefined);
+    const mtimeMs = stats ? stats.mtimeMs : 0;
+
+    const entry = this.#entries.get(uri);
+    if (
+      entry &&
+      entry.tu === tu &&
+      entry.mtimeMs === mtimeMs &&
+      entry.doc === doc
+    )
+      return entry.items;
+
+    const items = compute();
+    this.#entries.set(uri, { tu, mtimeMs, doc, items });
+    items.catch(() => {
+      if (this.#entries.get(uri)?.items === items) this.#entries.delete(uri);
+    });
+    return items;
+  }
+
+  /**
+   * Remember the encoded tokens as the latest result of the document.
+   * @param {string} uri
+   * @param {number[]} data
+   * @returns {import("vscode-languageserver/node.js").SemanticTokens}
+   */
+  result(uri, data) {
+    const result = { resultId: String(++this.#id), data };
+    this.#results.set(uri, result);
+    return result;
+  }
+
+  /**
+   * Get the delta from the previous result to the encoded tokens, which falls
+   * back to the full result if the previous one is no longer known.
+   * @param {string} uri
+   * @param {string} previousResultId
+   * @param {number[]} data
+   * @returns {import("vscode-languageserver/node.js").SemanticTokens | import("vscode-languageserver/node.js").SemanticTokensDelta}
+   */
+  delta(uri, previousResultId, data) {
+    const previous = this.#results.get(uri);
+    const result = this.result(uri, data);
+    if (previous?.resultId !== previousResultId) return result;
+
+    return {
+      resultId: result.resultId,
+      edits: edits(previous.data, data),
+    };
+  }
+
+  /**
+   * Forget everything of the document.
+   * @param {string} uri
+   */
+  delete(uri) {
+    this.#entries.delete(uri);
+    this.#results.delete(uri);
+  }
+}
@@ -0,0 +1,594 @@
+// @ts-check
+
+import * as fs from "fs";
+import * as path from "path";
+import { createHash } from "crypto";
+import Query from "./query.js";
+
+const SPEC_STATIC = 2;
+
+/**
+ * The number of translation units to keep open.
+ */
+const CAPACITY = 32;
+
+/**
+ *
+ * @param {string} file
+ */
+function stem(file) {
+  return path.basename(file, path.extname(file));
+}
+
+/**
+ * Score how specific the translation unit is for the file, e.g. `foo.o` is
+ * the most specific one for `foo.c` in the same directory.
+ * @param {string} tu
+ * @param {string} filename
+ * @returns {number}
+ */
+function specificity(tu, filename) {
+  if (stem(tu) !== stem(filename)) return 0;
+  return path.dirname(tu) === path.dirname(filename) ? 2 : 1;
+}
+
+/**
+ * Whether the node is an entity which might be shared by translation units.
+ * @param {import("./query.js").Node} node
+ */
+function isExternal(node) {
+  return (
+    (node.kind === "FunctionDecl" || node.kind === "VarDecl") &&
+    node.parent_number === 0 &&
+    !!node.name &&
+    !(node.specs & SPEC_STATIC)
+  );
+}
+
+/**
+ * The federation of all known translation units, in which an entity with
+ * external linkage is matched across translation units by its name and type.
+ */
+export default class Workspace {
+  /** @type {string | undefined} */
+  root;
+
+  /** @type {string[]} */
+  translationUnits = [];
+
+  /** @type {import("./symbols.js").default | undefined} */
+  symbolIndex;
+
+  /**
+   * The translation unit set by the user, which is preferred for any file.
+   * @type {string | undefined}
+   */
+  #preferred;
+
+  /**
+   * The translation units the user chose for particular files.
+   * @type {Map<string, string>}
+   */
+  #choices = new Map();
+
+  /** @type {Map<string, Promise<string | undefined>>} */
+  #selections = new Map();
+
+  /**
+   * The translation units that are older than the files.
+   * @type {Map<string, Set<string>>}
+   */
+  #outdated = new Map();
+
+  /** @type {Map<string, Query>} */
+  #queries = new Map();
+
+  /**
+   * The queries whose databases are open, the least recently used first.
+   * @type {Set<Query>}
+   */
+  #opened = new Set();
+
+  get preferred() {
+    return this.#preferred;
+  }
+
+  /**
+   * @param {string | undefined} tu
+   */
+  set preferred(tu) {
+    this.#preferred = tu;
+    this.reset();
+  }
+
+  /**
+   * Remember the translation unit the user chose for the file.
+   * @param {string} filename
+   * @param {string} tu
+   */
+  choose(filename, tu) {
+    this.#choices.set(filename, tu);
+    this.#selections.delete(filename);
+  }
+
+  /**
+   * Forget the selected translation units, including the failed selections,
+   * e.g. since new ones are indexed.
+   */
+  reset() {
+    this.#selections.clear();
+  }
+
+  /**
+   * Select the translation unit for the file, which is the one the user chose
+   * for it, the preferred one, or the most specific one having it as a source,
+   * in that order.
+   * @param {string} filename
+   * @returns {Promise<Query | undefined>}
+   */
+  async select(filename) {
+    let selection = this.#selections.get(filename);
+    if (!selection) {
+      selection = this.#select(filename);
+      this.#selections.set(filename, selection);
+    }
+
+    // Failed selections are kept as well until the translation units change
+    const tu = await selection.catch(() => undefined);
+    return tu ? this.query(tu) : undefined;
+  }
+
+  /**
+   *
+   * @param {string} filename
+   * @returns {Promise<string | undefined>}
+   */
+  async #select(filename) {
+    const candidates = await this.translationUnitsOf(filename);
+    const chosen = this.#choices.get(filename);
+    if (chosen && candidates.includes(chosen)) return chosen;
+
+    const preferred = this.#preferred;
+    if (preferred && candidates.includes(preferred)) return preferred;
+
+    let best;
+    let bestScore = -1;
+    for (const tu of candidates) {
+      const score = specificity(tu, filename);
+      if (score > bestScore) {
+        best = tu;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Check whether the file has changed since the translation units having it
+   * were produced, i.e. the file is newer than the translation unit, unless
+   * its content is the same as the one known to be indexed.
+   * @param {string} filename
+   * @returns {Promise<string[]>} the outdated translation units
+   */
+  async check(filename) {
+    const { mtimeMs } = await fs.promises.stat(filename);
+
+    /** @type {string | undefined} */
+    let hash;
+
+    /** @type {string[]} */
+    const outdated = [];
+    for (const tu of await this.translationUnitsOf(filename)) {
+      const stats = await fs.promises.stat(tu).catch(() => undefined);
+      if (!stats) continue;
+
+      hash ??= createHash("sha1")
+        .update(await fs.promises.readFile(filename))
+        .digest("hex");
+      const indexed = await this.symbolIndex?.hash(tu, filename);
+
+      if (mtimeMs <= stats.mtimeMs) {
+        if (hash !== indexed)
+          await this.symbolIndex?.setHash(tu, filename, hash);
+      } else if (!indexed || hash !== indexed) {
+        outdated.push(tu);
+      }
+    }
+
+    this.#outdated.set(filename, new Set(outdated));
+    return outdated;
+  }
+
+  /**
+   * Whether the file is known to be newer than the translation unit.
+   * @param {string} filename
+   * @param {string} tu
+   */
+  isOutdated(filename, tu) {
+    return !!this.#outdated.get(filename)?.has(tu);
+  }
+
+  /**
+   * Forget the checked result of the file.
+   * @param {string} filename
+   */
+  uncheck(filename) {
+    this.#outdated.delete(filename);
+  }
+
+  /**
+   * Get the translation units having the file in their source tables.
+   * @param {string} filename
+   * @returns {Promise<string[]>}
+   */
+  async translationUnitsOf(filename) {
+    if (this.symbolIndex) {
+      const tus = await this.symbolIndex.translationUnitsOf(filename);
+      if (tus.length) return tus;
+    }
+
+    // Scan all translation units since the index might be incomplete
+    const tus = [...this.translationUnits];
+    if (this.#preferred && !tus.includes(this.#preferred))
+      tus.unshift(this.#preferred);
+
+    /** @type {string[]} */
+    const result = [];
+    for (const tu of tus) {
+      try {
+        await this.query(tu).src(filename);
+        result.push(tu);
+      } catch (error) {
+        continue;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the query of the given translation unit.
+   * @param {string} tu
+   * @returns {Query}
+   */
+  query(tu) {
+    let query = this.#queries.get(tu);
+    if (!query) {
+      query = new Query();
+      query.tu = tu;
+      query.onUse = (used) => {
+        this.#opened.delete(used);
+        this.#opened.add(used);
+        for (const opened of this.#opened) {
+          if (this.#opened.size <= CAPACITY) break;
+          this.#opened.delete(opened);
+          opened.close();
+        }
+      };
+      this.#queries.set(tu, query);
+    }
+    return query;
+  }
+
+  /**
+   * Close the translation unit, e.g. since it is produced again, which is
+   * opened again on next use.
+   * @param {string} tu
+   */
+  drop(tu) {
+    const query = this.#queries.get(tu);
+    if (!query) return;
+
+    this.#opened.delete(query);
+    query.close();
+  }
+
+  /**
+   * Identify the scope and the name space of the declaration, where the
+   * declarations of the same key collide by their names, e.g. a local variable
+   * and a parameter of the function it is declared in.
+   * @param {import("./query.js").Node} node
+   * @returns {Promise<string>}
+   */
+  async #scope(node) {
+    const query = this.query(node.tu);
+    switch (node.kind) {
+      case "FieldDecl":
+        return `member ${node.parent_number}`;
+      case "LabelDecl": {
+        const fn = await query.scope(node, ["FunctionDecl"]);
+        return `label ${fn?.number ?? 0}`;
+      }
+    }
+
+    let scope = await query.scope(node, [
+      "CompoundStmt",
+      "ForStmt",
+      "FunctionDecl",
+    ]);
+
+    // Parameters are in the scope of the outermost block of the function
+    if (scope?.kind === "CompoundStmt") {
+      const parent = await query.node(scope.parent_number);
+      if (parent?.kind === "FunctionDecl") scope = parent;
+    }
+
+    return `${node.kind === "RecordDecl" ? "tag" : "ordinary"} ${scope?.number ?? 0}`;
+  }
+
+  /**
+   * Find the declaration the name would collide with if the declarations were
+   * renamed to it, i.e. another one in the same scope, or a macro replacing
+   * it.
+   * @param {import("./query.js").Node[]} nodes
+   * @param {string} name
+   * @returns {Promise<import("./query.js").Node | undefined>}
+   */
+  async collision(nodes, name) {
+    for (const node of nodes) {
+      const others = await this.query(node.tu).declarationsNamed(name);
+      if (!others.length) continue;
+
+      const key = await this.#scope(node);
+      for (const other of others) {
+        if (node.kind === "MacroDecl" || other.kind === "MacroDecl")
+          return other;
+        if ((await this.#scope(other)) === key) return other;
+      }
+    }
+  }
+
+  /**
+   * Get the translation units in which the entity might be seen.
+   * @param {import("./query.js").Node} node
+   * @param {{definition?: boolean}} [options]
+   * @returns {Promise<string[]>}
+   */
+  async #candidates(node, options) {
+    if (!this.symbolIndex || !node.name) return this.translationUnits;
+    return this.symbolIndex.translationUnits(node.name, node.kind, options);
+  }
+
+  /**
+   *
+   * @param {import("./query.js").Node} node
+   * @returns {Promise<string | undefined>}
+   */
+  filename(node) {
+    return this.query(node.tu).filename(node.begin_src);
+  }
+
+  /**
+   * Find the definition of the node, which is looked up in other translation
+   * units if the entity has external linkage but is not defined in the node's.
+   * @param {import("./query.js").Node} node
+   * @returns {Promise<import("./query.js").Node | undefined>}
+   */
+  async def(node) {
+    const query = this.query(node.tu);
+    const decl = await query.def(node);
+    if (!decl || decl.def_ptr || !isExternal(decl)) return decl;
+
+    const local = await query.definition(decl);
+    if (local) return local;
+
+    for (const tu of await this.#candidates(decl, { definition: true })) {
+      if (tu === decl.tu) continue;
+
+      try {
+        const def = await this.query(tu).definition(decl);
+        if (def) return def;
+      } catch (error) {
+        // Skip the broken translation units
+        continue;
+      }
+    }
+
+    return decl;
+  }
+
+  /**
+   * Find the implementations of the entity across translation units, which are
+   * the definitions of a function, or the functions assigned to a function
+   * pointer, i.e. a field, a variable, or any of those of a typedef.
+   * @param {import("./query.js").Node} node
+   * @returns {Promise<import("./query.js").Node[]>}
+   */
+  async implementations(node) {
+    const query = this.query(node.tu);
+    const decl = (node.ref_ptr && (await query.node(node.ref_ptr))) || node;
+    if (decl.kind === "FunctionDecl") return this.#definitions(decl);
+
+    // Only function types might have functions assigned
+    if (!`${decl.qualified_type} ${decl.desugared_type}`.includes("("))
+      return [];
+
+    /** @type {import("./query.js").Node[]} */
+    const pointers = [];
+    for (const entity of await this.counterparts([decl])) {
+      switch (entity.kind) {
+        case "FieldDecl":
+        case "VarDecl":
+          pointers.push(entity);
+          break;
+        case "TypedefDecl":
+          pointers.push(...(await this.query(entity.tu).typed(entity)));
+          break;
+      }
+    }
+
+    /** @type {import("./query.js").Node[]} */
+    const result = [];
+    for (const pointer of pointers) {
+      for (const fn of await this.query(pointer.tu).assigned(pointer)) {
+        const def = await this.def(fn);
+        if (def) result.push(def);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Find all definitions of the function, e.g. those for different platforms
+   * in several translation units.
+   * @param {import("./query.js").Node} decl
+   * @returns {Promise<import("./query.js").Node[]>}
+   */
+  async #definitions(decl) {
+    const query = this.query(decl.tu);
+    if (!isExternal(decl)) {
+      const def = await query.def(decl);
+      return def ? [def] : [];
+    }
+
+    /** @type {import("./query.js").Node[]} */
+    const result = [];
+    for (const tu of new Set([
+      decl.tu,
+      ...(await this.#candidates(decl, { definition: true })),
+    ])) {
+      try {
+        const def = await this.query(tu).definition(decl);
+        if (def) result.push(def);
+      } catch (error) {
+        continue;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Find declarations of the definition in its translation unit.
+   * @param {import("./query.js").Node} definition
+   * @returns {Promise<import("./query.js").Node[]>}
+   */
+  decl(definition) {
+    return this.query(definition.tu).decl(definition);
+  }
+
+  /**
+   * Find the same entities seen by other translation units, i.e. those
+   * declared at the same location of a shared file, e.g. a header, and those
+   * with the same external linkage.
+   * @param {import("./query.js").Node[]} nodes
+   * @returns {Promise<import("./query.js").Node[]>}
+   */
+  async counterparts(nodes) {
+    /** @type {import("./query.js").Node[]} */
+    const result = [];
+
+    /** @type {Set<string>} */
+    const seen = new Set();
+    const add = (/** @type {import("./query.js").Node} */ node) => {
+      const key = `${node.tu}:${node.ptr}`;
+      if (seen.has(key)) return;
+
+      seen.add(key);
+      result.push(node);
+    };
+
+    for (const node of nodes) {
+      add(node);
+      if (!node.name || !node.row) continue;
+
+      const filename = await this.query(node.tu).filename(node.src);
+      if (!filename || filename.startsWith("<")) continue;
+
+      /** @type {Set<string>} */
+      const tus = new Set(await this.translationUnitsOf(filename));
+      if (isExternal(node))
+        for (const tu of await this.#candidates(node)) tus.add(tu);
+
+      for (const tu of tus) {
+        if (tu === node.tu) continue;
+
+        try {
+          const query = this.query(tu);
+          for (const other of await query.located(node, filename)) add(other);
+          if (isExternal(node))
+            for (const other of await query.linkage(node)) add(other);
+        } catch (error) {
+          continue;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find references of the entities, including those from other translation
+   * units that see the same entities with external linkage.
+   * @param {import("./query.js").Node[]} nodes
+   * @param {{tu: string, src: number}} [scope] restricts the references
+   * within the given file of the given translation unit
+   * @returns {Promise<import("./query.js").Node[]>}
+   */
+  async refs(nodes, scope) {
+    /** @type {Map<string, import("./query.js").Node[]>} */
+    const groups = new Map();
+    for (const node of nodes) {
+      if (scope && node.tu !== scope.tu) continue;
+
+      const group = groups.get(node.tu);
+      if (group) group.push(node);
+      else groups.set(node.tu, [node]);
+    }
+
+    const external = nodes.find(isExternal);
+    if (external) {
+      const candidates = scope ? [scope.tu] : await this.#candidates(external);
+
+      for (const tu of candidates) {
+        if (tu === external.tu) continue;
+
+        try {
+          const entities = await this.query(tu).linkage(external);
+          if (entities.length)
+            groups.set(tu, [...(groups.get(tu) || []), ...entities]);
+        } catch (error) {
+          continue;
+        }
+      }
+    }
+
+    /** @type {import("./query.js").Node[]} */
+    const result = [];
+    for (const [tu, entities] of groups) {
+      const refs = await this.query(tu).refs(
+        entities.map((node) => node.ptr),
+        scope?.src
+      );
+      result.push(...refs);
+    }
+    return result;
+  }
+
+  /**
+   * Find the function calling the reference in its translation unit.
+   * @param {import("./query.js").Node} node
+   * @returns {Promise<import("./query.js").Node | undefined>}
+   */
+  caller(node) {
+    return this.query(node.tu).caller(node.number);
+  }
+
+  /**
+   * Find the function references called by the definition in its translation
+   * unit, which can be resolved by {@link Workspace.def} across translation
+   * units.
+   * @param {import("./query.js").Node} definition
+   * @returns {Promise<import("./query.js").Node[]>}
+   */
+  callees(definition) {
+    return this.query(definition.tu).callees(definition);
+  }
+
+  /**
+   *
+   * @param {import("./query.js").Node} node
+   * @returns {Promise<import("./query.js").Range | undefined>}
+   */
+  exp(node) {
+    return this.query(node.tu).exp(node);
+  }
+}
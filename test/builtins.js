@@ -0,0 +1,16 @@
+import assert from "assert";
+import { isKeyword } from "../src/builtins.js";
+
+describe("builtins", function () {
+  describe("isKeyword()", function () {
+    it("should recognize the keywords of C and GNU extensions", function () {
+      for (const name of ["int", "while", "sizeof", "_Bool", "__typeof__"])
+        assert.ok(isKeyword(name), name);
+    });
+
+    it("should not recognize other names", function () {
+      for (const name of ["main", "size_t", "INT", "bool_", "__builtin_expect"])
+        assert.ok(!isKeyword(name), name);
+    });
+  });
+});
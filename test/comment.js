@@ -0,0 +1,123 @@
+import assert from "assert";
+import { extract, parse } from "../src/comment.js";
+
+/**
+ * Extract the comment of the declaration spelled by the marked text, where
+ * the declaration is between `[` and `]`.
+ * @param {string} marked
+ */
+function extractMarked(marked) {
+  const begin = marked.indexOf("[");
+  const end = marked.indexOf("]") - 1;
+  return extract(marked.replace(/[[\]]/g, ""), begin, end);
+}
+
+describe("comment", function () {
+  describe("extract()", function () {
+    it("should find the block preceding the declaration", function () {
+      assert.equal(
+        extractMarked("int a;\n/** The answer */\n[int b];\n"),
+        "/** The answer */"
+      );
+      assert.equal(
+        extractMarked("/**\n * The answer\n */\n[int b];\n"),
+        "/**\n * The answer\n */"
+      );
+    });
+
+    it("should join the line comments preceding the declaration", function () {
+      assert.equal(
+        extractMarked("int a;\n/// The\n/// answer\n[int b];\n"),
+        "/// The\n/// answer"
+      );
+    });
+
+    it("should find the trailing comments of members", function () {
+      assert.equal(
+        extractMarked("struct p {\n  [int x]; /**< The abscissa */\n};\n"),
+        "/**< The abscissa */"
+      );
+      assert.equal(
+        extractMarked("enum e {\n  [A], //!< The first\n};\n"),
+        "//!< The first"
+      );
+    });
+
+    it("should find the comments of macros before the directives", function () {
+      assert.equal(
+        extractMarked("/** The size */\n#define [SIZE] 4096\n"),
+        "/** The size */"
+      );
+    });
+
+    it("should not find comments separated by blank lines", function () {
+      assert.equal(extractMarked("/** Gone */\n\n[int b];\n"), undefined);
+    });
+
+    it("should not find comments after code on the same line", function () {
+      assert.equal(extractMarked("int a; /* a */\n[int b];\n"), undefined);
+      assert.equal(extractMarked("int a; [int b];\n"), undefined);
+    });
+  });
+
+  describe("parse()", function () {
+    it("should take the first paragraph as the brief description", function () {
+      assert.deepEqual(
+        parse("/**\n * Do it.\n *\n * In detail,\n * twice.\n */"),
+        {
+          brief: "Do it.",
+          details: ["In detail, twice."],
+          params: [],
+          returns: "",
+          notes: [],
+        }
+      );
+    });
+
+    it("should parse Doxygen commands", function () {
+      assert.deepEqual(
+        parse(
+          "/**\n * \\brief Copy.\n * @param[out] dst The\n *   destination\n * @param src The source\n * @return The count\n * @note Slow\n */"
+        ),
+        {
+          brief: "Copy.",
+          details: [],
+          params: [
+            { name: "dst", text: "The destination" },
+            { name: "src", text: "The source" },
+          ],
+          returns: "The count",
+          notes: [{ tag: "note", text: "Slow" }],
+        }
+      );
+    });
+
+    it("should parse kernel-doc comments", function () {
+      assert.deepEqual(
+        parse(
+          "/**\n * foo() - Do something\n * @len: The length\n * @...: The rest\n *\n * Return: 0 on success\n */"
+        ),
+        {
+          brief: "Do something",
+          details: [],
+          params: [
+            { name: "len", text: "The length" },
+            { name: "...", text: "The rest" },
+          ],
+          returns: "0 on success",
+          notes: [],
+        }
+      );
+    });
+
+    it("should strip the markers of line comments", function () {
+      assert.equal(parse("/// The\n/// answer")?.brief, "The answer");
+      assert.equal(parse("//!< The first")?.brief, "The first");
+    });
+
+    it("should not parse empty comments", function () {
+      assert.equal(parse("/** */"), undefined);
+      assert.equal(parse("//"), undefined);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import assert from "assert";
+import {
+  evaluate,
+  format,
+  next,
+  parseLiteral,
+  parseType,
+  tokenize,
+  TYPES,
+} from "../src/constant.js";
+
+/**
+ * @param {string} text
+ */
+function calc(text) {
+  const result = evaluate(tokenize(text).map(({ text }) => text));
+  return result && { value: result.value, type: result.type.name };
+}
+
+describe("constant", function () {
+  describe("parseLiteral()", function () {
+    it("should type integer literals by their suffixes", function () {
+      assert.equal(parseLiteral("42")?.type.name, "int");
+      assert.equal(parseLiteral("42u")?.type.name, "unsigned int");
+      assert.equal(parseLiteral("42l")?.type.name, "long");
+      assert.equal(parseLiteral("42UL")?.type.name, "unsigned long");
+      assert.equal(parseLiteral("42ll")?.type.name, "long long");
+      assert.equal(parseLiteral("42LLU")?.type.name, "unsigned long long");
+    });
+
+    it("should widen literals which do not fit in their types", function () {
+      assert.equal(parseLiteral("2147483648")?.type.name, "long");
+      assert.equal(parseLiteral("0x80000000")?.type.name, "unsigned int");
+      assert.equal(parseLiteral("4294967296u")?.type.name, "unsigned long");
+      assert.equal(
+        parseLiteral("0xffffffffffffffff")?.type.name,
+        "unsigned long"
+      );
+      assert.equal(parseLiteral("18446744073709551615"), undefined);
+    });
+
+    it("should parse octal and binary literals", function () {
+      assert.equal(parseLiteral("017")?.value, 15n);
+      assert.equal(parseLiteral("0b101")?.value, 5n);
+      assert.equal(parseLiteral("0")?.value, 0n);
+    });
+
+    it("should sign plain character constants as chars", function () {
+      assert.deepEqual(parseLiteral("'a'"), parseLiteral("97"));
+      assert.equal(parseLiteral("'\\n'")?.value, 10n);
+      assert.equal(parseLiteral("'\\xff'")?.value, -1n);
+      assert.equal(parseLiteral("'\\377'")?.value, -1n);
+      assert.equal(parseLiteral("U'\\xff'")?.value, 255n);
+      assert.equal(parseLiteral("'ab'"), undefined);
+    });
+
+    it("should not parse floating literals", function () {
+      assert.equal(parseLiteral("1.5"), undefined);
+      assert.equal(parseLiteral("1e3"), undefined);
+    });
+  });
+
+  describe("parseType()", function () {
+    it("should name the integer types of casts", function () {
+      assert.equal(parseType(["unsigned"])?.name, "unsigned int");
+      assert.equal(
+        parseType(["long", "unsigned", "int"])?.name,
+        "unsigned long"
+      );
+      assert.equal(parseType(["long", "long"])?.name, "long long");
+      assert.equal(parseType(["short", "int"])?.name, "short");
+      assert.equal(parseType(["const", "char"])?.name, "char");
+      assert.equal(parseType(["signed", "char"])?.name, "signed char");
+    });
+
+    it("should reject invalid combinations", function () {
+      assert.equal(parseType(["long", "long", "long"]), undefined);
+      assert.equal(parseType(["signed", "unsigned"]), undefined);
+      assert.equal(parseType(["short", "char"]), undefined);
+      assert.equal(parseType(["long", "char"]), undefined);
+      assert.equal(parseType(["const"]), undefined);
+    });
+  });
+
+  describe("evaluate()", function () {
+    it("should keep the unsigned types of operands", function () {
+      assert.deepEqual(calc("~0U"), {
+        value: 4294967295n,
+        type: "unsigned int",
+      });
+      assert.deepEqual(calc("~0UL"), {
+        value: 18446744073709551615n,
+        type: "unsigned long",
+      });
+      assert.deepEqual(calc("~0"), { value: -1n, type: "int" });
+    });
+
+    it("should wrap unsigned arithmetic around", function () {
+      assert.deepEqual(calc("0xFFFFFFFFu + 1"), {
+        value: 0n,
+        type: "unsigned int",
+      });
+      assert.deepEqual(calc("0u - 1"), {
+        value: 4294967295n,
+        type: "unsigned int",
+      });
+    });
+
+    it("should apply the usual arithmetic conversions", function () {
+      assert.deepEqual(calc("-1 / 2u"), {
+        value: 2147483647n,
+        type: "unsigned int",
+      });
+      assert.deepEqual(calc("-1 < 0u"), { value: 0n, type: "int" });
+      assert.deepEqual(calc("-1L < 0u"), { value: 1n, type: "int" });
+      assert.deepEqual(calc("1 ? -1 : 0u"), {
+        value: 4294967295n,
+        type: "unsigned int",
+      });
+    });
+
+    it("should convert the values of integer casts", function () {
+      assert.deepEqual(calc("(unsigned char)300"), {
+        value: 44n,
+        type: "unsigned char",
+      });
+      assert.deepEqual(calc("(signed char)200"), {
+        value: -56n,
+        type: "signed char",
+      });
+      assert.deepEqual(calc("(unsigned char)300 + 1"), {
+        value: 45n,
+        type: "int",
+      });
+      assert.deepEqual(calc("(_Bool)42"), { value: 1n, type: "_Bool" });
+      assert.deepEqual(calc("(unsigned long)-1"), {
+        value: 18446744073709551615n,
+        type: "unsigned long",
+      });
+    });
+
+    it("should promote narrow types to int", function () {
+      assert.deepEqual(calc("-(unsigned char)1"), { value: -1n, type: "int" });
+      assert.deepEqual(calc("~(unsigned short)0"), { value: -1n, type: "int" });
+    });
+
+    it("should not evaluate what overflows or is undefined", function () {
+      assert.equal(calc("2147483647 + 1"), undefined);
+      assert.equal(calc("-2147483647 - 1 - 1"), undefined);
+      assert.equal(calc("(-2147483647 - 1) / -1"), undefined);
+      assert.equal(calc("1 / 0"), undefined);
+      assert.equal(calc("1 << 32"), undefined);
+      assert.equal(calc("1 << -1"), undefined);
+      assert.equal(calc("-1 << 1"), undefined);
+    });
+
+    it("should wrap left shifts around the width of the type", function () {
+      assert.deepEqual(calc("1 << 31"), { value: -2147483648n, type: "int" });
+      assert.deepEqual(calc("3 << 31"), { value: -2147483648n, type: "int" });
+      assert.deepEqual(calc("1u << 31"), {
+        value: 2147483648n,
+        type: "unsigned int",
+      });
+      assert.deepEqual(calc("1L << 31"), { value: 2147483648n, type: "long" });
+    });
+
+    it("should not evaluate casts to other types", function () {
+      assert.equal(calc("(float)1"), undefined);
+      assert.equal(calc("(uint8_t)1"), undefined);
+      assert.equal(calc("(long char)1"), undefined);
+    });
+
+    it("should evaluate by precedence", function () {
+      assert.equal(calc("1 + 2 * 3")?.value, 7n);
+      assert.equal(calc("(1 << 5) | 0x3")?.value, 35n);
+      assert.equal(calc("1 ? 2 : 3")?.value, 2n);
+      assert.equal(calc("!0 && 3 > 2")?.value, 1n);
+    });
+
+    it("should resolve identifiers", function () {
+      const result = evaluate(["A", "+", "1"], (name) =>
+        name === "A" ? { value: 41n, type: TYPES.int } : undefined
+      );
+      assert.equal(result?.value, 42n);
+      assert.equal(evaluate(["B", "+", "1"]), undefined);
+    });
+  });
+
+  describe("next()", function () {
+    it("should count enumerators up in int", function () {
+      const previous = parseLiteral("41");
+      assert.deepEqual(previous && next(previous), parseLiteral("42"));
+    });
+
+    it("should stop at the end of the type", function () {
+      const previous = parseLiteral("0xffffffffffffffff");
+      assert.equal(previous && next(previous), undefined);
+    });
+  });
+
+  describe("format()", function () {
+    it("should show negative values in the width of their types", function () {
+      const int = evaluate(["-", "1"]);
+      const long = evaluate(["-", "1L"]);
+      assert.deepEqual(int && format(int)[1], "0xffffffff");
+      assert.deepEqual(long && format(long)[1], "0xffffffffffffffff");
+    });
+
+    it("should group the bits by nibbles", function () {
+      const value = parseLiteral("0x1F");
+      assert.deepEqual(value && format(value), ["31", "0x1f", "0b0001_1111"]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import assert from "assert";
+import {
+  declarator,
+  functionDeclarator,
+  functionSignature,
+  pointee,
+} from "../src/declaration.js";
+
+describe("declaration", function () {
+  describe("declarator()", function () {
+    it("should put the name after the specifiers", function () {
+      assert.equal(declarator("int", "n"), "int n");
+      assert.equal(declarator("const char *", "s"), "const char *s");
+      assert.equal(declarator("char *const", "s"), "char *const s");
+      assert.equal(declarator("int", null), "int");
+    });
+
+    it("should put the name before arrays and parameter lists", function () {
+      assert.equal(declarator("char[4096]", "buf"), "char buf[4096]");
+      assert.equal(declarator("int[2][3]", "m"), "int m[2][3]");
+      assert.equal(
+        declarator("int (int, char *)", "foo"),
+        "int foo(int, char *)"
+      );
+      assert.equal(
+        declarator("int (int (*)(int))", "apply"),
+        "int apply(int (*)(int))"
+      );
+    });
+
+    it("should put the name into pointers to functions and arrays", function () {
+      assert.equal(declarator("int (*)(int)", "f"), "int (*f)(int)");
+      assert.equal(declarator("char (*const)[4]", "p"), "char (*const p)[4]");
+      assert.equal(declarator("int (**)(void)", "pp"), "int (**pp)(void)");
+      assert.equal(declarator("int (*[4])(int)", "fs"), "int (*fs[4])(int)");
+    });
+
+    it("should put the name into pointers to functions returning pointers to functions", function () {
+      assert.equal(
+        declarator("void (*(*)(int))(int)", "sig"),
+        "void (*(*sig)(int))(int)"
+      );
+      assert.equal(
+        declarator("void (*(*[4])(int))(int)", "sigs"),
+        "void (*(*sigs[4])(int))(int)"
+      );
+      assert.equal(
+        declarator("void (*(*const)(int))(int)", "sig"),
+        "void (*(*const sig)(int))(int)"
+      );
+    });
+
+    it("should skip the parentheses of anonymous records", function () {
+      assert.equal(
+        declarator("struct (unnamed at a.c:1:1) *", "p"),
+        "struct (unnamed at a.c:1:1) *p"
+      );
+      assert.equal(
+        declarator("struct (unnamed at a.c:1:1)[2]", "a"),
+        "struct (unnamed at a.c:1:1) a[2]"
+      );
+    });
+  });
+
+  describe("functionSignature()", function () {
+    it("should locate the named parameters", function () {
+      const { label, parameters } = functionSignature(
+        "int (int, char *)",
+        "foo",
+        [
+          { name: "len", qualified_type: "int" },
+          { name: "buf", qualified_type: "char *" },
+        ]
+      );
+      assert.equal(label, "int foo(int len, char *buf)");
+      assert.deepEqual(
+        parameters.map(([start, end]) => label.slice(start, end)),
+        ["int len", "char *buf"]
+      );
+    });
+
+    it("should split the unnamed parameters", function () {
+      const { label, parameters } = functionSignature(
+        "int (int (*)(int, int), ...)",
+        "f",
+        []
+      );
+      assert.equal(label, "int f(int (*)(int, int), ...)");
+      assert.deepEqual(
+        parameters.map(([start, end]) => label.slice(start, end)),
+        ["int (*)(int, int)", "..."]
+      );
+    });
+
+    it("should fall back to the declarator of functions returning pointers to functions", function () {
+      assert.deepEqual(functionSignature("void (*(int))(int)", "f", []), {
+        label: "void (*f(int))(int)",
+        parameters: [],
+      });
+    });
+  });
+
+  describe("functionDeclarator()", function () {
+    it("should keep the parameter lists of no parameters", function () {
+      assert.equal(functionDeclarator("int (void)", "f", []), "int f(void)");
+    });
+  });
+
+  describe("pointee()", function () {
+    it("should get the types of functions pointed to", function () {
+      assert.equal(pointee("int (*)(int)"), "int (int)");
+      assert.equal(pointee("void (*const)(void)"), "void (void)");
+    });
+
+    it("should not get the types of other pointers", function () {
+      assert.equal(pointee("int *"), undefined);
+      assert.equal(pointee("char (*)[4]"), undefined);
+    });
+  });
+});
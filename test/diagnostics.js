@@ -0,0 +1,179 @@
+import assert from "assert";
+import { parseJson, parseSarif } from "../src/diagnostics.js";
+
+/**
+ * Make a SARIF log of the results of a run.
+ * @param {any[]} results
+ * @param {any} [run]
+ */
+function sarif(results, run = {}) {
+  return JSON.stringify({ version: "2.1.0", runs: [{ ...run, results }] });
+}
+
+describe("diagnostics", function () {
+  describe("parseSarif()", function () {
+    it("should parse the results with locations", function () {
+      const text = sarif(
+        [
+          {
+            ruleId: "1",
+            level: "error",
+            message: { text: "use of undeclared identifier 'x'" },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: "file:///src/a%20b.c" },
+                  region: { startLine: 3, startColumn: 5, endColumn: 6 },
+                },
+              },
+            ],
+          },
+        ],
+        { tool: { driver: { rules: [{ id: "1", name: "" }] } } }
+      );
+      assert.deepEqual(parseSarif(text, "/build"), [
+        {
+          filename: "/src/a b.c",
+          line: 3,
+          column: 5,
+          endLine: undefined,
+          endColumn: 6,
+          severity: "error",
+          message: "use of undeclared identifier 'x'",
+          code: "1",
+        },
+      ]);
+    });
+
+    it("should resolve relative URIs and artifacts", function () {
+      const text = sarif(
+        [
+          {
+            message: { text: "a" },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { uri: "src/a.c" },
+                  region: { startLine: 1 },
+                },
+              },
+            ],
+          },
+          {
+            message: { text: "b" },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: { index: 0 },
+                  region: { startLine: 2 },
+                },
+              },
+            ],
+          },
+        ],
+        { artifacts: [{ location: { uri: "../include/b.h" } }] }
+      );
+      assert.deepEqual(
+        parseSarif(text, "/work/build").map(({ filename, column }) => [
+          filename,
+          column,
+        ]),
+        [
+          ["/work/build/src/a.c", 1],
+          ["/work/include/b.h", 1],
+        ]
+      );
+    });
+
+    it("should skip the results without regions", function () {
+      const location = (/** @type {any} */ region) => ({
+        physicalLocation: { artifactLocation: { uri: "a.c" }, region },
+      });
+      const text = sarif([
+        { message: { text: "no locations" } },
+        { message: { text: "no region" }, locations: [location(undefined)] },
+        { message: { text: "no line" }, locations: [location({})] },
+        { message: { text: "line" }, locations: [location({ startLine: 1 })] },
+      ]);
+      assert.deepEqual(
+        parseSarif(text, "/").map(({ message }) => message),
+        ["line"]
+      );
+    });
+
+    it("should map the levels to severities", function () {
+      const text = sarif(
+        ["error", "warning", "note", "none", undefined].map((level) => ({
+          level,
+          message: { text: String(level) },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: "a.c" },
+                region: { startLine: 1 },
+              },
+            },
+          ],
+        }))
+      );
+      assert.deepEqual(
+        parseSarif(text, "/").map(({ severity }) => severity),
+        ["error", "warning", "note", "remark", "warning"]
+      );
+    });
+
+    it("should ignore the messages around the log", function () {
+      const text = `warning: one\n${sarif([])}\n1 warning generated.\n`;
+      assert.deepEqual(parseSarif(text, "/"), []);
+    });
+  });
+
+  describe("parseJson()", function () {
+    it("should resolve relative filenames", function () {
+      const text = JSON.stringify([
+        { filename: "a.c", line: 1, severity: "error", message: "a" },
+        { filename: "/src/b.c", line: 2, column: 3, message: "b" },
+      ]);
+      assert.deepEqual(parseJson(text, "/build"), [
+        {
+          filename: "/build/a.c",
+          line: 1,
+          column: 1,
+          severity: "error",
+          message: "a",
+        },
+        {
+          filename: "/src/b.c",
+          line: 2,
+          column: 3,
+          severity: "warning",
+          message: "b",
+        },
+      ]);
+    });
+
+    it("should skip the items without locations", function () {
+      const text = JSON.stringify([
+        { line: 1, message: "no filename" },
+        { filename: "a.c", message: "no line" },
+        { filename: "a.c", line: 1, message: "line" },
+      ]);
+      assert.deepEqual(
+        parseJson(text, "/").map(({ message }) => message),
+        ["line"]
+      );
+    });
+
+    it("should map unknown severities to warnings", function () {
+      const text = JSON.stringify(
+        ["error", "warning", "note", "remark", "fatal", undefined].map(
+          (severity) => ({ filename: "a.c", line: 1, severity })
+        )
+      );
+      assert.deepEqual(
+        parseJson(text, "/").map(({ severity }) => severity),
+        ["error", "warning", "note", "remark", "warning", "warning"]
+      );
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import assert from "assert";
+import { diff, LineMap } from "../src/diff.js";
+
+describe("diff", function () {
+  describe("diff()", function () {
+    it("should find no hunks of the same lines", function () {
+      assert.deepEqual(diff(["a", "b"], ["a", "b"]), []);
+      assert.deepEqual(diff([], []), []);
+    });
+
+    it("should find inserted and deleted lines", function () {
+      assert.deepEqual(diff(["a", "c"], ["a", "b", "c"]), [
+        { oldStart: 1, oldEnd: 1, newStart: 1, newEnd: 2 },
+      ]);
+      assert.deepEqual(diff(["a", "b", "c"], ["a", "c"]), [
+        { oldStart: 1, oldEnd: 2, newStart: 1, newEnd: 1 },
+      ]);
+    });
+
+    it("should find the hunks between common lines", function () {
+      assert.deepEqual(
+        diff(["a", "b", "c", "d", "e"], ["a", "x", "c", "d", "y", "e", "z"]),
+        [
+          { oldStart: 1, oldEnd: 2, newStart: 1, newEnd: 2 },
+          { oldStart: 4, oldEnd: 4, newStart: 4, newEnd: 5 },
+          { oldStart: 5, oldEnd: 5, newStart: 6, newEnd: 7 },
+        ]
+      );
+    });
+
+    it("should treat too many edits as a whole", function () {
+      const a = Array.from({ length: 2000 }, (_, i) => `a${i}`);
+      const b = Array.from({ length: 2000 }, (_, i) => `b${i}`);
+      assert.deepEqual(diff(["head", ...a, "tail"], ["head", ...b, "tail"]), [
+        { oldStart: 1, oldEnd: 2001, newStart: 1, newEnd: 2001 },
+      ]);
+    });
+  });
+
+  describe("LineMap", function () {
+    it("should shift the lines after inserted ones", function () {
+      const map = new LineMap("a\nb\nc", "a\nx\ny\nb\nc");
+      assert.deepEqual(map.toNew({ line: 0, character: 1 }), {
+        line: 0,
+        character: 1,
+      });
+      assert.deepEqual(map.toNew({ line: 2, character: 0 }), {
+        line: 4,
+        character: 0,
+      });
+      assert.deepEqual(map.toOld({ line: 3, character: 1 }), {
+        line: 1,
+        character: 1,
+      });
+      assert.equal(map.toOld({ line: 1, character: 0 }), null);
+    });
+
+    it("should not map the deleted lines", function () {
+      const map = new LineMap("a\nb\nc", "a\nc");
+      assert.equal(map.toNew({ line: 1, character: 0 }), null);
+      assert.deepEqual(map.toNew({ line: 2, character: 0 }), {
+        line: 1,
+        character: 0,
+      });
+    });
+
+    it("should map the characters around modifications in place", function () {
+      const map = new LineMap("int x = 1;\n", "int value = 1;\n");
+      assert.deepEqual(map.toNew({ line: 0, character: 4 }), {
+        line: 0,
+        character: 4,
+      });
+      assert.deepEqual(map.toNew({ line: 0, character: 6 }), {
+        line: 0,
+        character: 10,
+      });
+      assert.equal(map.toOld({ line: 0, character: 7 }), null);
+    });
+
+    it("should map ranges only if both ends are mappable", function () {
+      const map = new LineMap("a\nb\nc", "z\na\nc");
+      assert.deepEqual(
+        map.rangeToNew({
+          start: { line: 0, character: 0 },
+          end: { line: 2, character: 1 },
+        }),
+        { start: { line: 1, character: 0 }, end: { line: 2, character: 1 } }
+      );
+      assert.equal(
+        map.rangeToNew({
+          start: { line: 0, character: 0 },
+          end: { line: 1, character: 1 },
+        }),
+        null
+      );
+      assert.equal(
+        map.rangeToOld({
+          start: { line: 0, character: 0 },
+          end: { line: 1, character: 1 },
+        }),
+        null
+      );
+    });
+
+    it("should ignore the differences of line endings", function () {
+      const map = new LineMap("a\r\nb\r\n", "a\nb\n");
+      assert.deepEqual(map.hunks, []);
+    });
+  });
+});
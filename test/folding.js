@@ -0,0 +1,47 @@
+import assert from "assert";
+import { getFoldingRanges, INACTIVE } from "../src/folding.js";
+
+/**
+ * @param {number} begin_row
+ * @param {number} end_row
+ */
+function range(begin_row, end_row) {
+  return { begin_row, begin_col: 1, end_row, end_col: 1 };
+}
+
+describe("folding", function () {
+  describe("getFoldingRanges()", function () {
+    it("should keep the last lines of blocks visible", function () {
+      assert.deepEqual(getFoldingRanges([range(1, 4), range(2, 3)], []), [
+        { startLine: 0, endLine: 2 },
+      ]);
+    });
+
+    it("should fold the inactive regions in their own kind", function () {
+      assert.deepEqual(getFoldingRanges([], [range(2, 5)]), [
+        {
+          startLine: 1,
+          endLine: 3,
+          kind: INACTIVE,
+          collapsedText: "inactive",
+        },
+      ]);
+      assert.notEqual(INACTIVE, "region");
+    });
+
+    it("should merge the adjacent inactive regions", function () {
+      // The branches of `#if`, `#elif` and `#else` on lines 1, 4 and 6 up to
+      // `#endif` on line 9, and another region apart from them
+      const inactive = [range(10, 12), range(6, 9), range(1, 4), range(4, 6)];
+      assert.deepEqual(
+        getFoldingRanges([range(2, 3)], inactive).map(
+          ({ startLine, endLine, kind }) => [startLine, endLine, kind]
+        ),
+        [
+          [0, 7, INACTIVE],
+          [9, 10, INACTIVE],
+        ]
+      );
+    });
+  });
+});
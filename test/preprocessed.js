@@ -0,0 +1,69 @@
+import assert from "assert";
+import { guard, strip } from "../src/preprocessed.js";
+
+/**
+ * Blank the text like the stripped parts.
+ * @param {string} text
+ */
+function blank(text) {
+  return text.replace(/[^\n]/g, " ");
+}
+
+describe("preprocessed", function () {
+  describe("strip()", function () {
+    it("should blank the comments and keep the lines", function () {
+      assert.equal(
+        strip("int a; /* one\n two */ int b; // three\nint c;"),
+        `int a; ${blank("/* one\n two */")} int b; ${blank("// three")}\nint c;`
+      );
+    });
+
+    it("should blank the directives continued over escaped newlines", function () {
+      assert.equal(
+        strip("#define A \\\n  1\nint a = A;\n  # include <x.h>\n"),
+        `${blank("#define A \\\n  1")}\nint a = A;\n  ${blank("# include <x.h>")}\n`
+      );
+    });
+
+    it("should keep what looks like comments in literals", function () {
+      assert.equal(
+        strip(`char *s = "/* no */"; char c = '"'; // yes\n`),
+        `char *s = "/* no */"; char c = '"'; ${blank("// yes")}\n`
+      );
+    });
+
+    it("should keep hashes which do not begin lines", function () {
+      assert.equal(strip("a # b\n"), "a # b\n");
+    });
+  });
+
+  describe("guard()", function () {
+    it("should find pragma once", function () {
+      assert.equal(guard("/* x */\n#pragma once\nint a;\n"), "pragma once");
+    });
+
+    it("should find header guards around the whole file", function () {
+      assert.equal(
+        guard("// x.h\n#ifndef X_H\n#define X_H\nint a;\n#endif /* X_H */\n"),
+        "header guard"
+      );
+      assert.equal(
+        guard("#if !defined(X_H)\n#define X_H\nint a;\n#endif\n"),
+        "header guard"
+      );
+    });
+
+    it("should not find guards of other macros or of parts of the file", function () {
+      assert.equal(guard("#ifndef X_H\n#define Y_H\n#endif\n"), undefined);
+      assert.equal(
+        guard("#ifndef X_H\n#define X_H\n#endif\nint a;\n"),
+        undefined
+      );
+      assert.equal(
+        guard("int a;\n#ifndef X_H\n#define X_H\n#endif\n"),
+        undefined
+      );
+      assert.equal(guard("int a;\n"), undefined);
+    });
+  });
+});
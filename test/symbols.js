@@ -0,0 +1,204 @@
+import assert from "assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import sqlite3 from "sqlite3";
+import SymbolIndex from "../src/symbols.js";
+
+const COLUMNS =
+  "number, parent_number, kind, name, class, qualified_type, specs, begin_src, begin_row, begin_col, end_src, end_row, end_col, src, row, col";
+
+/**
+ * Produce a translation unit of the sources and the nodes.
+ * @param {string} tu
+ * @param {[number, string][]} sources
+ * @param {any[][]} nodes
+ */
+async function produce(tu, sources, nodes) {
+  const db = new sqlite3.Database(tu);
+  await new Promise((resolve, reject) =>
+    db.serialize(() => {
+      db.run("CREATE TABLE src (number, filename)");
+      db.run(`CREATE TABLE ast (${COLUMNS})`);
+      for (const source of sources)
+        db.run("INSERT INTO src VALUES (?, ?)", source);
+      for (const node of nodes)
+        db.run(
+          `INSERT INTO ast (${COLUMNS}) VALUES (${node.map(() => "?")})`,
+          node
+        );
+      db.close((error) => (error ? reject(error) : resolve(undefined)));
+    })
+  );
+}
+
+describe("SymbolIndex", function () {
+  /** @type {string} */
+  let directory;
+
+  /** @type {SymbolIndex} */
+  let index;
+
+  before(async function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "symbols-"));
+    const a = path.join(directory, "a.c");
+    const h = path.join(directory, "h.h");
+
+    // `DECLARE(counter)` in a.c expands to a variable declared in h.h
+    await produce(
+      path.join(directory, "a.o"),
+      [
+        [1, a],
+        [2, h],
+        [3, "<built-in>"],
+      ],
+      [
+        [
+          1,
+          0,
+          "FunctionDecl",
+          "parse_header",
+          0,
+          "int (void)",
+          0,
+          1,
+          1,
+          1,
+          1,
+          1,
+          20,
+          1,
+          1,
+          5,
+        ],
+        [2, 1, "CompoundStmt", null, 0, null, 0, 1, 1, 18, 1, 1, 20, 0, 0, 0],
+        [3, 0, "VarDecl", "counter", 0, "int", 2, 2, 1, 1, 2, 1, 20, 1, 3, 9],
+        [
+          4,
+          0,
+          "RecordDecl",
+          "color",
+          3,
+          "enum color",
+          0,
+          2,
+          2,
+          1,
+          2,
+          2,
+          30,
+          2,
+          2,
+          6,
+        ],
+        [
+          5,
+          4,
+          "EnumConstantDecl",
+          "COLOR_RED",
+          0,
+          "int",
+          0,
+          2,
+          2,
+          14,
+          2,
+          2,
+          14,
+          2,
+          2,
+          14,
+        ],
+        [
+          6,
+          0,
+          "MacroDecl",
+          "HEADER_SIZE",
+          0,
+          null,
+          0,
+          2,
+          3,
+          9,
+          2,
+          3,
+          22,
+          2,
+          3,
+          9,
+        ],
+        [7, 0, "MacroDecl", "__LINE__", 0, null, 0, 3, 1, 9, 3, 1, 9, 3, 1, 9],
+        [
+          8,
+          0,
+          "FunctionDecl",
+          "hd",
+          0,
+          "int (void)",
+          0,
+          2,
+          4,
+          1,
+          2,
+          4,
+          10,
+          2,
+          4,
+          5,
+        ],
+      ]
+    );
+
+    index = new SymbolIndex(path.join(directory, "index.db"));
+    await index.update([path.join(directory, "a.o")]);
+  });
+
+  after(async function () {
+    await index.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("should locate the declarations where their names are", async function () {
+    const [counter] = await index.search("counter");
+    assert.equal(counter.filename, path.join(directory, "a.c"));
+    assert.deepEqual(
+      [counter.begin_row, counter.begin_col, counter.row, counter.col],
+      [3, 9, 3, 9]
+    );
+    assert.equal(counter.external, 0);
+  });
+
+  it("should index the enumerators and the macros", async function () {
+    assert.deepEqual(
+      (await index.search("COLOR_RED")).map(({ kind }) => kind),
+      ["EnumConstantDecl"]
+    );
+    assert.deepEqual(
+      (await index.search("HEADER_SIZE")).map(({ kind }) => kind),
+      ["MacroDecl"]
+    );
+    assert.deepEqual(await index.search("__LINE__"), []);
+  });
+
+  it("should match the names fuzzily, the closest first", async function () {
+    assert.deepEqual(
+      (await index.search("hd")).map(({ name }) => name),
+      ["hd", "HEADER_SIZE", "parse_header"]
+    );
+    assert.deepEqual(
+      (await index.search("header")).map(({ name }) => name),
+      ["HEADER_SIZE", "parse_header"]
+    );
+  });
+
+  it("should find the translation units of external entities", async function () {
+    assert.deepEqual(
+      await index.translationUnits("parse_header", "FunctionDecl"),
+      [path.join(directory, "a.o")]
+    );
+    assert.deepEqual(
+      await index.translationUnits("COLOR_RED", "EnumConstantDecl"),
+      []
+    );
+  });
+});
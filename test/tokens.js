@@ -0,0 +1,133 @@
+import assert from "assert";
+import SemanticTokensCache, { edits, encode, split } from "../src/tokens.js";
+
+/**
+ * Apply the edits to the encoded tokens as the client would.
+ * @param {number[]} data
+ * @param {import("vscode-languageserver/node.js").SemanticTokensEdit[]} list
+ */
+function apply(data, list) {
+  const result = [...data];
+  for (const { start, deleteCount, data = [] } of [...list].reverse())
+    result.splice(start, deleteCount, ...data);
+  return result;
+}
+
+/**
+ * @param {number} line
+ * @param {number} character
+ * @param {number} length
+ */
+function item(line, character, length) {
+  return { line, character, length, tokenType: 1, tokenModifier: 0 };
+}
+
+describe("tokens", function () {
+  describe("encode()", function () {
+    it("should encode the items relatively to their previous ones", function () {
+      assert.deepEqual(
+        encode([item(1, 4, 3), item(1, 10, 2), item(3, 2, 5)]),
+        [1, 4, 3, 1, 0, 0, 6, 2, 1, 0, 2, 2, 5, 1, 0]
+      );
+      assert.deepEqual(encode([]), []);
+    });
+  });
+
+  describe("split()", function () {
+    it("should keep the macro name of an invocation with spelled arguments", function () {
+      // `FOO(x, y)` at 4, where `x` and `y` are spelled in the source
+      const expansion = item(2, 4, 9);
+      assert.deepEqual(
+        split(expansion, [
+          [11, 12],
+          [8, 9],
+        ]).map(({ character, length }) => [character, length]),
+        [
+          [4, 4],
+          [9, 2],
+          [12, 1],
+        ]
+      );
+    });
+
+    it("should keep the items overlapping nothing", function () {
+      assert.deepEqual(split(item(0, 4, 3), [[0, 2]]), [item(0, 4, 3)]);
+      assert.deepEqual(split(item(0, 4, 3), []), [item(0, 4, 3)]);
+    });
+
+    it("should drop the items covered entirely", function () {
+      assert.deepEqual(split(item(0, 4, 3), [[2, 8]]), []);
+    });
+  });
+
+  describe("edits()", function () {
+    it("should not edit the same tokens", function () {
+      assert.deepEqual(edits([1, 2, 3], [1, 2, 3]), []);
+    });
+
+    it("should replace what is between the common prefix and suffix", function () {
+      assert.deepEqual(edits([1, 2, 3, 4], [1, 5, 6, 4]), [
+        { start: 1, deleteCount: 2, data: [5, 6] },
+      ]);
+    });
+
+    it("should turn the previous tokens into the current ones", function () {
+      for (const [previous, current] of [
+        [[], [1, 2, 3]],
+        [[1, 2, 3], []],
+        [
+          [1, 1, 1],
+          [1, 1],
+        ],
+        [
+          [1, 1],
+          [1, 1, 1],
+        ],
+        [
+          [0, 4, 3, 1, 0],
+          [1, 0, 4, 3, 1, 0],
+        ],
+      ])
+        assert.deepEqual(apply(previous, edits(previous, current)), current);
+    });
+  });
+
+  describe("SemanticTokensCache", function () {
+    it("should give the delta from the latest result", function () {
+      const cache = new SemanticTokensCache();
+      const { resultId } = cache.result("file:///a.c", [0, 0, 1, 1, 0]);
+
+      const delta = cache.delta("file:///a.c", resultId, [0, 0, 2, 1, 0]);
+      assert.ok("edits" in delta);
+      assert.notEqual(delta.resultId, resultId);
+      assert.deepEqual(apply([0, 0, 1, 1, 0], delta.edits), [0, 0, 2, 1, 0]);
+    });
+
+    it("should give the full result if the previous one is unknown", function () {
+      const cache = new SemanticTokensCache();
+      const { resultId } = cache.result("file:///a.c", [0, 0, 1, 1, 0]);
+      cache.result("file:///a.c", [0, 0, 2, 1, 0]);
+
+      const full = cache.delta("file:///a.c", resultId, [0, 0, 3, 1, 0]);
+      assert.deepEqual("data" in full && full.data, [0, 0, 3, 1, 0]);
+
+      cache.delete("file:///a.c");
+      const again = cache.delta("file:///a.c", full.resultId, []);
+      assert.ok("data" in again);
+    });
+
+    it("should compute the items again only for other documents", async function () {
+      const cache = new SemanticTokensCache();
+      const doc = /** @type {any} */ ({});
+      let computed = 0;
+      const compute = async () => [item(0, ++computed, 1)];
+
+      await cache.items("file:///a.c", "/nonexistent.o", doc, compute);
+      await cache.items("file:///a.c", "/nonexistent.o", doc, compute);
+      assert.equal(computed, 1);
+
+      await cache.items("file:///a.c", "/nonexistent.o", {}, compute);
+      assert.equal(computed, 2);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import assert from "assert";
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import sqlite3 from "sqlite3";
+import Workspace from "../src/workspace.js";
+
+const COLUMNS = "number, parent_number, final_number, kind, name, ptr";
+
+/**
+ * The nodes of:
+ *
+ * ```c
+ * int total;
+ * #define M 1
+ * struct s { int x; int y; };
+ * void f(int p) { int a; int b; { int c; } }
+ * ```
+ */
+const NODES = [
+  [1, 0, 1, "VarDecl", "total", "0x1"],
+  [2, 0, 2, "MacroDecl", "M", "0x2"],
+  [3, 0, 5, "RecordDecl", "s", "0x3"],
+  [4, 3, 4, "FieldDecl", "x", "0x4"],
+  [5, 3, 5, "FieldDecl", "y", "0x5"],
+  [6, 0, 15, "FunctionDecl", "f", "0x6"],
+  [7, 6, 7, "ParmVarDecl", "p", "0x7"],
+  [8, 6, 15, "CompoundStmt", null, "0x8"],
+  [9, 8, 10, "DeclStmt", null, "0x9"],
+  [10, 9, 10, "VarDecl", "a", "0xa"],
+  [11, 8, 12, "DeclStmt", null, "0xb"],
+  [12, 11, 12, "VarDecl", "b", "0xc"],
+  [13, 8, 15, "CompoundStmt", null, "0xd"],
+  [14, 13, 15, "DeclStmt", null, "0xe"],
+  [15, 14, 15, "VarDecl", "c", "0xf"],
+];
+
+describe("Workspace", function () {
+  /** @type {string} */
+  let directory;
+
+  /** @type {string} */
+  let tu;
+
+  /** @type {Workspace} */
+  let workspace;
+
+  before(async function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "workspace-"));
+    tu = path.join(directory, "f.o");
+
+    const db = new sqlite3.Database(tu);
+    await new Promise((resolve, reject) =>
+      db.serialize(() => {
+        db.run(`CREATE TABLE ast (${COLUMNS})`);
+        for (const node of NODES)
+          db.run(
+            `INSERT INTO ast (${COLUMNS}) VALUES (?, ?, ?, ?, ?, ?)`,
+            node
+          );
+        db.close((error) => (error ? reject(error) : resolve(undefined)));
+      })
+    );
+
+    workspace = new Workspace();
+    workspace.translationUnits = [tu];
+  });
+
+  after(function () {
+    workspace.drop(tu);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("collision()", function () {
+    /**
+     * @param {number} number
+     * @param {string} name
+     */
+    async function collide(number, name) {
+      const node = await workspace.query(tu).node(number);
+      assert.ok(node);
+      return (await workspace.collision([node], name))?.name;
+    }
+
+    it("should find the declarations in the same block", async function () {
+      assert.equal(await collide(10, "b"), "b");
+    });
+
+    it("should find the parameters from the outermost block", async function () {
+      assert.equal(await collide(10, "p"), "p");
+      assert.equal(await collide(7, "a"), "a");
+    });
+
+    it("should not find the declarations of other scopes", async function () {
+      assert.equal(await collide(15, "a"), undefined);
+      assert.equal(await collide(10, "c"), undefined);
+      assert.equal(await collide(10, "total"), undefined);
+    });
+
+    it("should find the members of the same record only", async function () {
+      assert.equal(await collide(4, "y"), "y");
+      assert.equal(await collide(4, "a"), undefined);
+    });
+
+    it("should keep the tags apart from the ordinary names", async function () {
+      assert.equal(await collide(3, "total"), undefined);
+      assert.equal(await collide(1, "s"), undefined);
+    });
+
+    it("should find the macros anywhere", async function () {
+      assert.equal(await collide(1, "M"), "M");
+      assert.equal(await collide(15, "M"), "M");
+    });
+  });
+});
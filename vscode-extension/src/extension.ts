@@ -1,12 +1,24 @@
 import * as path from "path";
 import {
   commands,
+  languages,
   window,
   workspace,
+  EventEmitter,
   ExtensionContext,
+  Hover,
+  Location,
+  LocationLink,
+  Position,
+  Range,
   StatusBarAlignment,
   ThemeColor,
   ConfigurationChangeEvent,
+  TreeDataProvider,
+  TreeItem,
+  TreeItemCollapsibleState,
+  Uri,
+  ViewColumn,
 } from "vscode";
 import * as nls from "vscode-nls";
 import {
@@ -15,6 +27,8 @@ import {
   ServerOptions,
   TransportKind,
   DidChangeConfigurationNotification,
+  Position as ProtocolPosition,
+  Range as ProtocolRange,
 } from "vscode-languageclient/node";
 
 nls.config({
@@ -50,14 +64,21 @@ async function startClient(context: ExtensionContext) {
   // Options to control the language client
   const clientOptions: LanguageClientOptions = {
     // Register the server for C documents
-    documentSelector: [{ language: "c" }],
+    documentSelector: [{ scheme: "file", language: "c" }],
     synchronize: {
-      // Notify the server about file changes to '.clientrc files contained in the workspace
-      fileEvents: workspace.createFileSystemWatcher("**/.clientrc"),
+      // Notify the server about file changes to '.clientrc files contained in the workspace,
+      // and to the translation units and the diagnostics produced alongside them
+      fileEvents: [
+        workspace.createFileSystemWatcher("**/.clientrc"),
+        workspace.createFileSystemWatcher("**/*.{o,sarif}"),
+        workspace.createFileSystemWatcher("**/*.diagnostics.json"),
+      ],
     },
-    // Set the initial translation unit
+    // Set the initial translation unit and the options of features
     initializationOptions: {
       translationUnit: workspace.getConfiguration().get("languageServerCC.tu"),
+      hover: workspace.getConfiguration("languageServerCC.hover"),
+      inlayHints: workspace.getConfiguration("languageServerCC.inlayHints"),
     },
   };
 
@@ -87,8 +108,16 @@ async function startClient(context: ExtensionContext) {
           placeHolder: localize("select.tu", "Select Translation Unit"),
         });
 
-        if (tu) {
-          await workspace.getConfiguration().update("languageServerCC.tu", tu);
+        // Remember the choice for the active document only, which takes
+        // precedence over the one picked by the server, and leave the
+        // settings of the user alone
+        const document = window.activeTextEditor?.document;
+        if (tu && document) {
+          await client.sendNotification(
+            "languageServerCC/selectTranslationUnit",
+            { uri: document.uri.toString(), tu }
+          );
+          await commands.executeCommand("languageServerCC.updateStatus");
         }
       }
     );
@@ -102,9 +131,45 @@ function createStatus(context: ExtensionContext) {
   const status = window.createStatusBarItem(StatusBarAlignment.Left);
   status.command = "languageServerCC.selectTU";
 
-  const update = (event?: ConfigurationChangeEvent) => {
+  // Get the translation unit the server selected for the active document
+  const getSelected = async () => {
+    const document = window.activeTextEditor?.document;
+    if (document?.languageId !== "c") return;
+
+    try {
+      const tu = await client.sendRequest<string | null>(
+        "languageServerCC/translationUnit",
+        { uri: document.uri.toString() }
+      );
+      const dir = workspace.workspaceFolders?.[0].uri.fsPath;
+      return tu && dir ? path.relative(dir, tu) : tu;
+    } catch (e) {
+      return;
+    }
+  };
+
+  const update = async (event?: ConfigurationChangeEvent) => {
     const section = "languageServerCC.tu";
-    const tu = workspace.getConfiguration().get(section);
+    const setting = workspace.getConfiguration().get<string>(section);
+    if (event) {
+      // Send the changed settings as pairs of sections and values
+      const settings: unknown[] = [section, setting];
+      for (const option of [
+        "languageServerCC.hover.recordFields",
+        "languageServerCC.inlayHints.parameterNames",
+        "languageServerCC.inlayHints.deducedTypes",
+        "languageServerCC.inlayHints.macroValues",
+      ]) {
+        if (event.affectsConfiguration(option))
+          settings.push(option, workspace.getConfiguration().get(option));
+      }
+
+      client.sendNotification(DidChangeConfigurationNotification.type, {
+        settings,
+      });
+    }
+
+    const tu = (await getSelected()) || setting;
     status.text = `\$(project) ${tu || "<<<NULL>>>"}`;
     status.tooltip = `Translation Unit: ${tu}`;
     status.backgroundColor = tu
@@ -112,21 +177,348 @@ function createStatus(context: ExtensionContext) {
       : new ThemeColor("statusBarItem.errorBackground");
 
     status.show();
-    if (event) {
-      client.sendNotification(DidChangeConfigurationNotification.type, {
-        settings: [section, tu],
-      });
-    }
   };
 
   update();
   context.subscriptions.push(
     status,
-    workspace.onDidChangeConfiguration(update)
+    commands.registerCommand("languageServerCC.updateStatus", () => update()),
+    workspace.onDidChangeConfiguration(update),
+    window.onDidChangeActiveTextEditor(() => update())
+  );
+}
+
+interface MacroExpansion {
+  name: string;
+  range: ProtocolRange;
+  steps: string[];
+  text: string;
+}
+
+interface Mapping {
+  range: ProtocolRange;
+  uri: string;
+  position: ProtocolPosition;
+  expansion?: ProtocolRange;
+}
+
+/**
+ * Register the read-only virtual documents of the scheme, and get the
+ * function to show such a document of C beside the active editor.
+ */
+function registerVirtualDocuments(context: ExtensionContext, scheme: string) {
+  const contents = new Map<string, string>();
+  const onDidChange = new EventEmitter<Uri>();
+
+  context.subscriptions.push(
+    onDidChange,
+    workspace.registerTextDocumentContentProvider(scheme, {
+      onDidChange: onDidChange.event,
+      provideTextDocumentContent: (uri) => contents.get(uri.toString()),
+    }),
+    workspace.onDidCloseTextDocument(({ uri }) => {
+      if (uri.scheme === scheme) contents.delete(uri.toString());
+    })
+  );
+
+  return async (uri: Uri, text: string) => {
+    contents.set(uri.toString(), text);
+    onDidChange.fire(uri);
+
+    const document = await workspace.openTextDocument(uri);
+    await languages.setTextDocumentLanguage(document, "c");
+    await window.showTextDocument(document, {
+      viewColumn: ViewColumn.Beside,
+      preserveFocus: true,
+    });
+  };
+}
+
+function createMacroExpansionView(context: ExtensionContext) {
+  const client = context.subscriptions[0] as LanguageClient;
+  const scheme = "languageservercc-expansion";
+  const show = registerVirtualDocuments(context, scheme);
+
+  const command = commands.registerTextEditorCommand(
+    "languageServerCC.expandMacro",
+    async (editor) => {
+      const { document, selection } = editor;
+      const textDocument = { uri: document.uri.toString() };
+      const { expansions } = await client.sendRequest<{
+        expansions: MacroExpansion[];
+      }>(
+        "languageServerCC/expandMacro",
+        selection.isEmpty
+          ? { textDocument, position: selection.active }
+          : { textDocument, range: selection }
+      );
+
+      if (!expansions.length) {
+        window.showInformationMessage(
+          localize("expandMacro.none", "No macro expansion found")
+        );
+        return;
+      }
+
+      const filename = path.basename(document.uri.fsPath);
+      const text = expansions
+        .map(({ name, range, steps }) =>
+          [
+            `// ${name} at ${filename}:${range.start.line + 1}`,
+            ...steps.map((step, i) => `\n// Step ${i}\n${step}`),
+          ].join("\n")
+        )
+        .join("\n\n");
+
+      const uri = Uri.from({
+        scheme,
+        path: `/${filename}.expanded.c`,
+        query: document.uri.toString(),
+      });
+      await show(uri, `${text}\n`);
+    }
+  );
+
+  context.subscriptions.push(command);
+}
+
+function createPreprocessedView(context: ExtensionContext) {
+  const client = context.subscriptions[0] as LanguageClient;
+  const scheme = "languageservercc-preprocessed";
+  const show = registerVirtualDocuments(context, scheme);
+
+  // The mappings of the preprocessed documents by their lines
+  const mappings = new Map<string, Mapping[][]>();
+
+  // Get the position in the source the preprocessed text comes from, which
+  // is the macro invocation for the expanded text
+  const getOrigin = (uri: Uri, position: Position) => {
+    const mapping = mappings
+      .get(uri.toString())
+      ?.[
+        position.line
+      ]?.find(({ range: { start, end } }) => start.character <= position.character && position.character <= end.character);
+    if (!mapping) return;
+
+    const { line, character } = mapping.position;
+    const offset = mapping.expansion
+      ? 0
+      : position.character - mapping.range.start.character;
+    return {
+      uri: Uri.parse(mapping.uri),
+      position: new Position(line, character + offset),
+    };
+  };
+
+  const register = (command: string, translationUnit: boolean) =>
+    commands.registerTextEditorCommand(command, async ({ document }) => {
+      const result = await client.sendRequest<{
+        text: string;
+        mappings: Mapping[];
+      } | null>("languageServerCC/preprocess", {
+        textDocument: { uri: document.uri.toString() },
+        translationUnit,
+      });
+
+      if (!result) {
+        window.showInformationMessage(
+          localize("preprocess.none", "No translation unit found")
+        );
+        return;
+      }
+
+      const filename = path.basename(document.uri.fsPath);
+      const uri = Uri.from({
+        scheme,
+        path: `/${filename}${translationUnit ? ".tu" : ""}.i`,
+        query: document.uri.toString(),
+      });
+
+      const lines: Mapping[][] = [];
+      for (const mapping of result.mappings) {
+        (lines[mapping.range.start.line] ||= []).push(mapping);
+      }
+      mappings.set(uri.toString(), lines);
+      await show(uri, result.text);
+    });
+
+  context.subscriptions.push(
+    register("languageServerCC.showPreprocessedTranslationUnit", true),
+    register("languageServerCC.showPreprocessedFile", false),
+    workspace.onDidCloseTextDocument(({ uri }) => {
+      if (uri.scheme === scheme) mappings.delete(uri.toString());
+    }),
+    languages.registerHoverProvider(
+      { scheme },
+      {
+        async provideHover(document, position) {
+          const origin = getOrigin(document.uri, position);
+          if (!origin) return;
+
+          const hovers = await commands.executeCommand<Hover[]>(
+            "vscode.executeHoverProvider",
+            origin.uri,
+            origin.position
+          );
+          if (!hovers?.length) return;
+          return new Hover(hovers.flatMap(({ contents }) => contents));
+        },
+      }
+    ),
+    languages.registerDefinitionProvider(
+      { scheme },
+      {
+        provideDefinition(document, position) {
+          const origin = getOrigin(document.uri, position);
+          if (!origin) return;
+
+          return commands.executeCommand<Location[] | LocationLink[]>(
+            "vscode.executeDefinitionProvider",
+            origin.uri,
+            origin.position
+          );
+        },
+      }
+    )
+  );
+}
+
+interface Inclusion {
+  uri: string;
+  name: string;
+  directive: { uri: string; range: ProtocolRange };
+  skipped?: "header guard" | "pragma once";
+  children: Inclusion[];
+}
+
+function createIncludeHierarchyView(context: ExtensionContext) {
+  const client = context.subscriptions[0] as LanguageClient;
+  const onDidChangeTreeData = new EventEmitter<void>();
+  let roots: Inclusion[] = [];
+
+  const provider: TreeDataProvider<Inclusion> = {
+    onDidChangeTreeData: onDidChangeTreeData.event,
+    getChildren: (inclusion) => (inclusion ? inclusion.children : roots),
+    getTreeItem: ({ uri, name, directive, skipped, children }) => {
+      const resourceUri = Uri.parse(uri);
+      const item = new TreeItem(
+        resourceUri,
+        children.length
+          ? TreeItemCollapsibleState.Collapsed
+          : TreeItemCollapsibleState.None
+      );
+
+      const line = directive.range.start.line + 1;
+      item.description = skipped
+        ? localize(
+            "includes.skipped",
+            "line {0}, skipped by {1}",
+            line,
+            skipped === "pragma once" ? "#pragma once" : skipped
+          )
+        : localize("includes.line", "line {0}", line);
+      item.tooltip = `${resourceUri.fsPath}\n#${name}`;
+      item.command = {
+        title: localize("includes.open", "Open Inclusion Directive"),
+        command: "vscode.open",
+        arguments: [
+          Uri.parse(directive.uri),
+          {
+            selection: client.protocol2CodeConverter.asRange(directive.range),
+          },
+        ],
+      };
+      return item;
+    },
+  };
+
+  const view = window.createTreeView("languageServerCC.includeHierarchy", {
+    treeDataProvider: provider,
+    showCollapseAll: true,
+  });
+
+  const register = (command: string, method: string, title: string) =>
+    commands.registerTextEditorCommand(command, async ({ document }) => {
+      roots = await client.sendRequest<Inclusion[]>(method, {
+        textDocument: { uri: document.uri.toString() },
+      });
+
+      view.title = title;
+      view.description = path.basename(document.uri.fsPath);
+      view.message = roots.length
+        ? undefined
+        : localize("includes.none", "No inclusion found");
+      onDidChangeTreeData.fire();
+
+      await commands.executeCommand(
+        "setContext",
+        "languageServerCC.includeHierarchy",
+        true
+      );
+      await commands.executeCommand("languageServerCC.includeHierarchy.focus");
+    });
+
+  context.subscriptions.push(
+    view,
+    onDidChangeTreeData,
+    register(
+      "languageServerCC.showIncludes",
+      "languageServerCC/includes",
+      localize("includes.title", "Includes")
+    ),
+    register(
+      "languageServerCC.showIncludedBy",
+      "languageServerCC/includedBy",
+      localize("includedBy.title", "Included By")
+    )
+  );
+}
+
+function createCodeLensCommands(context: ExtensionContext) {
+  const client = context.subscriptions[0] as LanguageClient;
+
+  // The code lenses pass the document and the position in the protocol types
+  const register = (
+    command: string,
+    callback: (uri: Uri, position: Position) => Promise<void>
+  ) =>
+    commands.registerCommand(
+      command,
+      (uri: string, position: ProtocolPosition) =>
+        callback(
+          client.protocol2CodeConverter.asUri(uri),
+          client.protocol2CodeConverter.asPosition(position)
+        )
+    );
+
+  context.subscriptions.push(
+    register("languageServerCC.showReferences", async (uri, position) => {
+      const locations = await commands.executeCommand<Location[]>(
+        "vscode.executeReferenceProvider",
+        uri,
+        position
+      );
+      await commands.executeCommand(
+        "editor.action.showReferences",
+        uri,
+        position,
+        locations
+      );
+    }),
+    register("languageServerCC.showIncomingCalls", async (uri, position) => {
+      await window.showTextDocument(uri, {
+        selection: new Range(position, position),
+      });
+      await commands.executeCommand("editor.showIncomingCalls");
+    })
   );
 }
 
 export async function activate(context: ExtensionContext) {
   await startClient(context);
   createStatus(context);
+  createMacroExpansionView(context);
+  createPreprocessedView(context);
+  createIncludeHierarchyView(context);
+  createCodeLensCommands(context);
 }